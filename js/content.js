@@ -19,6 +19,8 @@
  * - EventManager: Optimized event handling with throttling/debouncing
  * - DOMCache: Performance-optimized DOM element caching
  * - PerformanceUtils: Throttling and debouncing utilities
+ * - ConverterRegistry: Pluggable converters that each match and convert a selection
+ * - UnitIndex (js/units.js): Unit tables and spelling lookup, shared with the options page
  *
  * @requires chrome.storage.sync (for preferences)
  * @requires navigator.clipboard (for clipboard API, with fallback)
@@ -89,17 +91,72 @@ const REGEX_PATTERNS = {
 
   /**
    * Time zone pattern for conversion
-   * Supports formats: "5 PM PST", "11:30 am CET", "14:00 EST", "10:00pm PT", "6 PM Pacific Time"
+   * Supports formats: "5 PM PST", "11:30 am CET", "14:00 EST", "10:00pm PT", "6 PM Pacific Time",
+   * "14:00 UTC+5:30", "10:00 Europe/Paris", "3 PM Singapore time" (the zone is checked by resolveTimeZone)
    * @type {RegExp}
    */
-  timeZone:
-    /^(\d{1,2})(?::(\d{2}))?\s*(AM|PM|am|pm)?\s*([A-Z]{2,5}|[A-Za-z\s]+)$/i,
+  timeZone: /^(\d{1,2})(?::(\d{2}))?\s*(?:(AM|PM)(?![a-z]))?\s*([^\s\d:].*)$/i,
+
+  /**
+   * Start of a time range before its end time and zone: "3-", "9am to ", "10:00 – "
+   * @type {RegExp}
+   */
+  timeRangeStart:
+    /^(\d{1,2})(?::(\d{2}))?\s*(?:(AM|PM)(?![a-z]))?\s*(?:-|\u2013|\u2014|to|until|till)\s*(?=\d)/i,
+
+  /**
+   * UTC offset written after UTC/GMT ("UTC+5:30", "GMT-3", "UTC +05:30")
+   * or on its own with two-digit hours ("+05:30", "-0300")
+   * @type {RegExp}
+   */
+  utcOffset:
+    /^(?:(?:UTC|GMT)\s*([+\-\u2212])\s*(\d{1,2})(?::?(\d{2}))?|([+\-\u2212])(\d{2}):?(\d{2}))$/i,
 
   /**
    * Currency symbol pattern for unit detection
    * @type {string}
    */
-  currencySymbol: "[a-zA-Z°/€$£¥₺₽₹₩₪₱฿₣₦₲₵₡₫₭₮₯₠₢₳₴₸₼₾₿]",
+  currencySymbol: "[\\p{L}°/€$£¥₺₽₹₩₪₱฿₣₦₲₵₡₫₭₮₯₠₢₳₴₸₼₾₿]",
+
+  /**
+   * One word of a unit: letters of any script, then letters, digits, powers or slashes
+   * Handles "ft²", "m2", "l/100km", "lb-ft", "N·m", "км/ч", "кв.м", the "sq." in "sq. ft" and the "Rs." in "Rs.500"
+   * @type {string}
+   */
+  unitWord: "[\\p{L}°℃℉][\\p{L}0-9°²³/]*(?:[-.·⋅]\\p{L}+)*(?:\\.(?=[\\s\\d]))?",
+
+  /**
+   * Range of two quantities (number, optional unit, separator, number, unit)
+   * Supports formats: "10-15 kg", "20–25 °C", "1 to 2 cups", "-40 °F to -10 °F"
+   * Dynamically constructed at runtime
+   * @type {RegExp|null}
+   */
+  range: null,
+
+  /**
+   * Tolerance quantity (number, optional unit, ±, number, unit)
+   * Supports formats: "5 ± 0.1 mm", "20 °C +/- 2 °C"
+   * Dynamically constructed at runtime
+   * @type {RegExp|null}
+   */
+  tolerance: null,
+
+  /**
+   * Optional exponent and magnitude after a number
+   * Supports formats: "6.02e23", "3×10^8", "3 x 10⁸", "1.5k", "2.3M", "4bn",
+   * "4 billion", "2 lakh", "1.2 lacs", "3 cr", "1 arab". Letter suffixes must
+   * not run into a unit ("5kg").
+   * @type {string}
+   */
+  numberMagnitude:
+    "(?:[eE][-+]?\\d+|\\s*[×xX*]\\s*10(?:\\^[-+]?\\d+|[⁻⁺]?[⁰¹²³⁴⁵⁶⁷⁸⁹]+))?(?:(?:k|M|B|bn)(?!\\p{L})|\\s+(?:thousand|million|billion|trillion|lakhs?|lacs?|crores?|cr|arabs?)\\b)?",
+
+  /**
+   * Number in the Indian numbering system: lakh and crore groups of two
+   * digits before the last three ("5,00,000", "1,20,00,000.50")
+   * @type {string}
+   */
+  indianNumber: "\\d{1,2}(?:,\\d{2})+,\\d{3}(?:\\.\\d+)?",
 
   /**
    * Value-unit pattern (number followed by unit)
@@ -136,34 +193,91 @@ const REGEX_PATTERNS = {
   /**
    * Number parsing patterns
    */
-  thousandsSeparator: /[.\,\s](?=\d{3}(\D|$))/g,
   decimalComma: /,/g,
   fraction: /^(\d+)\/(\d+)$/,
 
+  /**
+   * Unicode vulgar fractions, optionally after a whole number ("1½", "1 ½")
+   * @type {RegExp}
+   */
+  vulgarFraction: /(?:(\d+)\s*)?([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅐⅛⅜⅝⅞⅑⅒])/g,
+
+  /**
+   * Run of digits, CJK numerals and multipliers ("5万", "三千", "1億2000万")
+   * "." and "," only count when a digit follows
+   * @type {RegExp}
+   */
+  cjkNumber:
+    /(?:[\d〇零一二两兩三四五六七八九十百千万萬亿億兆천만억조]|[.,](?=\d))+/g,
+
+  /**
+   * Mixed number with a slash or fraction slash ("2 1/4", "2 1⁄4")
+   * @type {RegExp}
+   */
+  mixedNumber: /(\d+)\s+(\d+)[/⁄](\d+)(?![\d/⁄])/g,
+
+  /**
+   * Separator of an explicit conversion phrase: "<source> in|to|into|as <target>"
+   * Supports formats: "100 USD in BTC", "€50 to ETH", "10 km -> m", "5 in to cm"
+   * Only the leading space is consumed so "in" can also be a unit
+   * @type {RegExp}
+   */
+  conversionSeparator: /\s(?:in|to|into|as)(?=\s)|\s*(?:->|→)\s*/gi,
+
+  /**
+   * Trailing sentence punctuation after a selection
+   * @type {RegExp}
+   */
+  trailingPunctuation: /[.,;:!?]+$/,
+
+  /**
+   * One part of a compound quantity: "5'", "11\"", "6 lb", "4 oz,"
+   * Supports formats: "5'11\"", "5 ft 11 in", "6 lb 4 oz", "11 st and 6 lb"
+   * @type {RegExp}
+   */
+  compoundPart: /^(\d+(?:\.\d+)?)\s*(''|['′’"″”]|\p{L}+)\s*(?:,|and\b)?\s*/iu,
+
   /**
    * Temperature unit pattern
    * @type {RegExp}
    */
-  temperatureUnit: /^(\d+(?:\.\d+)?)\s*°\s*$/,
+  temperatureUnit: /^(\d+(?:\.\d+)?)\s*(?:°|degrees?)\s*$/i,
 
   /**
    * Initialize dynamic regex patterns that depend on currency symbols
    * Called once during initialization for optimal performance
+   * The "u" flag lets \p{L} in unit words match Cyrillic and accented letters.
    * @method
    */
   initDynamicPatterns() {
     // Construct value-unit pattern (number followed by unit)
     // Allow optional dash between number and unit (handles "32-oz")
     this.valueUnit = new RegExp(
-      `^(-?\\d{1,}(?:[.,\\s]\\d{3})*(?:[.,]\\d+)?|\\d+/\\d+)[\\s-]*(${this.currencySymbol}+|[a-zA-Z]+(?:\\s+[a-zA-Z]+)*)[.,;:!?]*$`,
-      "i",
+      `^(-?(?:${this.indianNumber}|\\d{1,}(?:[.,\\s]\\d{3})*(?:[.,]\\d+)?)${this.numberMagnitude}|\\d+/\\d+)[\\s-]*(${this.currencySymbol}+|${this.unitWord}(?:\\s+${this.unitWord})*)[.,;:!?]*$`,
+      "iu",
+    );
+
+    // Construct range and tolerance patterns; a dash right before a digit
+    // after the separator is a minus sign ("-40 °F to -10 °F")
+    const number = `\\d+/\\d+|[-−]?(?:${this.indianNumber}|\\d+(?:[.,]\\d{3})*(?:[.,]\\d+)?)`;
+    const unit = `${this.currencySymbol}+|${this.unitWord}(?:\\s+${this.unitWord})*`;
+    // The first unit may not swallow the "to" separator
+    const word = `(?!to\\b)${this.unitWord}`;
+    const firstUnit = `(?!to\\b)(?:${this.currencySymbol}+|${word}(?:\\s+${word})*)`;
+    this.range = new RegExp(
+      `^(${number})\\s*(${firstUnit})?(?:\\s*[-–—~]\\s*|\\s+to\\s+)(${number})\\s*(${unit})[.,;:!?]*$`,
+      "iu",
+    );
+    this.tolerance = new RegExp(
+      `^(${number})\\s*(${unit})?\\s*(?:±|\\+/-|\\+-)\\s*(${number})\\s*(${unit})[.,;:!?]*$`,
+      "iu",
     );
 
     // Construct unit-value pattern (unit followed by number)
     // Allow optional dash between unit and number (handles "oz-32")
     this.unitValue = new RegExp(
-      `^(${this.currencySymbol}+|[a-zA-Z]+(?:\\s+[a-zA-Z]+)*)[\\s-]*(-?\\d{1,}(?:[.,\\s]\\d{3})*(?:[.,]\\d+)?|\\d+/\\d+)[.,;:!?]*$`,
-      "i",
+      `^(${this.currencySymbol}+|${this.unitWord}(?:\\s+${this.unitWord})*)[\\s-]*(-?(?:${this.indianNumber}|\\d{1,}(?:[.,\\s]\\d{3})*(?:[.,]\\d+)?)${this.numberMagnitude}|\\d+/\\d+)[.,;:!?]*$`,
+      "iu",
     );
   },
 };
@@ -208,6 +322,23 @@ const CURRENCY_SYMBOLS = {
 
 // --- Utility Functions for Date Formatting ---
 
+/**
+ * Describe a distance in days from today, rounded to the unit that fits its size:
+ * days up to 13 ("tomorrow", "in 10 days"), weeks up to 59 days ("3 weeks ago"),
+ * months up to two years ("in 2 months"), then years
+ * @param {number} days - Positive for the future
+ * @param {string} [locale] - Defaults to the browser's
+ * @returns {string}
+ */
+function formatRelativeDays(days, locale) {
+  const format = new Intl.RelativeTimeFormat(locale, { numeric: "auto" });
+  const abs = Math.abs(days);
+  if (abs < 14) return format.format(days, "day");
+  if (abs < 60) return format.format(Math.round(days / 7), "week");
+  if (abs < 730) return format.format(Math.round(days / 30.44), "month");
+  return format.format(Math.round(days / 365.25), "year");
+}
+
 /**
  * Formats a timestamp into a human-readable relative time string
  * @param {number} timestamp - Unix timestamp in milliseconds
@@ -227,12 +358,8 @@ function formatLastUpdate(timestamp) {
   const diffMs = now - lastUpdate;
   const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
 
-  if (diffDays === 0) {
-    return "today";
-  } else if (diffDays === 1) {
-    return "yesterday";
-  } else if (diffDays < 7) {
-    return `${diffDays} days ago`;
+  if (diffDays < 7) {
+    return formatRelativeDays(-diffDays, "en");
   } else {
     return lastUpdate.toLocaleDateString();
   }
@@ -276,6 +403,27 @@ const CRYPTO_CURRENCIES = {
   MATIC: "matic-network",
 };
 
+// Units that name a fraction of a coin ("250 sats", "100 USD in sats")
+// factor is the number of subunits per coin; label/one are the plural and singular
+// needsContext units are also data sizes, so "8000 bits" is only read as Bitcoin
+// on pages that mention it
+const SATOSHI = { symbol: "BTC", factor: 1e8, label: "sats", one: "sat" };
+const BIT = {
+  symbol: "BTC",
+  factor: 1e6,
+  label: "bits",
+  one: "bit",
+  needsContext: true,
+};
+const CRYPTO_SUBUNITS = {
+  SAT: SATOSHI,
+  SATS: SATOSHI,
+  SATOSHI,
+  SATOSHIS: SATOSHI,
+  BIT,
+  BITS: BIT,
+};
+
 // --- Time Zone Abbreviations Mapping ---
 const TIME_ZONE_ABBRS = {
   PST: "America/Los_Angeles",
@@ -290,7 +438,6 @@ const TIME_ZONE_ABBRS = {
   "Mountain Time": "America/Denver",
   "Mountain Standard Time": "America/Denver",
   "Mountain Daylight Time": "America/Denver",
-  CST: "America/Chicago",
   CDT: "America/Chicago",
   CT: "America/Chicago",
   "Central Time": "America/Chicago",
@@ -319,8 +466,21 @@ const TIME_ZONE_ABBRS = {
   "Eastern European Summer Time": "Europe/Helsinki",
   BST: "Europe/London",
   "British Summer Time": "Europe/London",
-  IST: "Asia/Kolkata",
   "Indian Standard Time": "Asia/Kolkata",
+  "Israel Standard Time": "Asia/Jerusalem",
+  IDT: "Asia/Jerusalem",
+  "Israel Daylight Time": "Asia/Jerusalem",
+  "Irish Standard Time": "Europe/Dublin",
+  "China Standard Time": "Asia/Shanghai",
+  HKT: "Asia/Hong_Kong",
+  SGT: "Asia/Singapore",
+  MSK: "Europe/Moscow",
+  WET: "Europe/Lisbon",
+  WEST: "Europe/Lisbon",
+  BRT: "America/Sao_Paulo",
+  ART: "America/Argentina/Buenos_Aires",
+  NZST: "Pacific/Auckland",
+  NZDT: "Pacific/Auckland",
   JST: "Asia/Tokyo",
   "Japan Standard Time": "Asia/Tokyo",
   KST: "Asia/Seoul",
@@ -337,6 +497,85 @@ const TIME_ZONE_ABBRS = {
   "Australian Western Standard Time": "Australia/Perth",
 };
 
+// Abbreviations shared by several zones. Candidates are picked by the
+// user's choice, then the page language and domain, then the user's own
+// zone; the first one is the fallback.
+const AMBIGUOUS_TIME_ZONES = {
+  IST: [
+    {
+      zone: "Asia/Kolkata",
+      langs: ["hi", "bn", "ta", "te", "mr", "gu", "kn", "ml", "en-IN"],
+      tld: "in",
+    },
+    { zone: "Asia/Jerusalem", langs: ["he", "iw"], tld: "il" },
+    { zone: "Europe/Dublin", langs: ["ga", "en-IE"], tld: "ie" },
+  ],
+  CST: [
+    { zone: "America/Chicago", langs: ["en-US"], tld: "us" },
+    { zone: "Asia/Shanghai", langs: ["zh"], tld: "cn" },
+    { zone: "Asia/Taipei", langs: ["zh-TW", "zh-Hant"], tld: "tw" },
+  ],
+};
+
+// Cities and countries that are not the city of an IANA zone name
+// (those, like "Paris" or "Singapore", are found through Intl)
+const CITY_TIME_ZONES = {
+  "new york": "America/New_York",
+  nyc: "America/New_York",
+  washington: "America/New_York",
+  boston: "America/New_York",
+  miami: "America/New_York",
+  atlanta: "America/New_York",
+  montreal: "America/Toronto",
+  dallas: "America/Chicago",
+  houston: "America/Chicago",
+  austin: "America/Chicago",
+  "salt lake city": "America/Denver",
+  "san francisco": "America/Los_Angeles",
+  seattle: "America/Los_Angeles",
+  "rio de janeiro": "America/Sao_Paulo",
+  munich: "Europe/Berlin",
+  frankfurt: "Europe/Berlin",
+  hamburg: "Europe/Berlin",
+  barcelona: "Europe/Madrid",
+  milan: "Europe/Rome",
+  geneva: "Europe/Zurich",
+  "st petersburg": "Europe/Moscow",
+  "tel aviv": "Asia/Jerusalem",
+  "abu dhabi": "Asia/Dubai",
+  mumbai: "Asia/Kolkata",
+  delhi: "Asia/Kolkata",
+  "new delhi": "Asia/Kolkata",
+  bangalore: "Asia/Kolkata",
+  bengaluru: "Asia/Kolkata",
+  hyderabad: "Asia/Kolkata",
+  chennai: "Asia/Kolkata",
+  beijing: "Asia/Shanghai",
+  shenzhen: "Asia/Shanghai",
+  guangzhou: "Asia/Shanghai",
+  osaka: "Asia/Tokyo",
+  kyoto: "Asia/Tokyo",
+  busan: "Asia/Seoul",
+  hanoi: "Asia/Ho_Chi_Minh",
+  canberra: "Australia/Sydney",
+  wellington: "Pacific/Auckland",
+  "cape town": "Africa/Johannesburg",
+  india: "Asia/Kolkata",
+  china: "Asia/Shanghai",
+  japan: "Asia/Tokyo",
+  korea: "Asia/Seoul",
+  taiwan: "Asia/Taipei",
+  israel: "Asia/Jerusalem",
+  ireland: "Europe/Dublin",
+  uk: "Europe/London",
+  germany: "Europe/Berlin",
+  france: "Europe/Paris",
+  spain: "Europe/Madrid",
+  italy: "Europe/Rome",
+  bulgaria: "Europe/Sofia",
+  brazil: "America/Sao_Paulo",
+};
+
 // --- Currency Names to ISO Codes Mapping ---
 const CURRENCY_NAMES = {
   dollar: "USD",
@@ -352,6 +591,7 @@ const CURRENCY_NAMES = {
   rubles: "RUB",
   rupee: "INR",
   rupees: "INR",
+  rs: "INR", // "Rs", "Rs."
   franc: "CHF",
   francs: "CHF",
   lira: "TRY",
@@ -371,150 +611,117 @@ const CURRENCY_NAMES = {
   leva: "BGN",
 };
 
-// --- Unit Conversion Definitions ---
-const UNIT_CONVERSIONS = {
-  // Weight
-  lb: { to: "kg", factor: 0.45359237 },
-  lbs: { to: "kg", factor: 0.45359237 },
-  pound: { to: "kg", factor: 0.45359237 },
-  pounds: { to: "kg", factor: 0.45359237 },
-  kg: { to: "lb", factor: 2.20462262 },
-  kilogram: { to: "lb", factor: 2.20462262 },
-  kilograms: { to: "lb", factor: 2.20462262 },
-  kilo: { to: "lb", factor: 2.20462262 },
-  kilos: { to: "lb", factor: 2.20462262 },
-  oz: { to: "g", factor: 28.3495231 },
-  ounce: { to: "g", factor: 28.3495231 },
-  ounces: { to: "g", factor: 28.3495231 },
-  g: { to: "oz", factor: 0.0352739619 },
-  gram: { to: "oz", factor: 0.0352739619 },
-  grams: { to: "oz", factor: 0.0352739619 },
-
-  // Temperature
-  "\u00B0F": { to: "\u00B0C", convert: (val) => ((val - 32) * 5) / 9 },
-  "\u00B0C": { to: "\u00B0F", convert: (val) => (val * 9) / 5 + 32 },
-  fahrenheit: { to: "\u00B0C", convert: (val) => ((val - 32) * 5) / 9 },
-  celsius: { to: "\u00B0F", convert: (val) => (val * 9) / 5 + 32 },
-  centigrade: { to: "\u00B0F", convert: (val) => (val * 9) / 5 + 32 },
-
-  // Cooking Measurements
-  cup: { to: "ml", factor: 236.588 },
-  cups: { to: "ml", factor: 236.588 },
-  cupsful: { to: "ml", factor: 236.588 },
-  tbsp: { to: "ml", factor: 14.7868 },
-  "tbsp.": { to: "ml", factor: 14.7868 },
-  tbsps: { to: "ml", factor: 14.7868 },
-  tablespoon: { to: "ml", factor: 14.7868 },
-  tablespoons: { to: "ml", factor: 14.7868 },
-  tsp: { to: "ml", factor: 4.92892 },
-  "tsp.": { to: "ml", factor: 4.92892 },
-  tsps: { to: "ml", factor: 4.92892 },
-  teaspoon: { to: "ml", factor: 4.92892 },
-  teaspoons: { to: "ml", factor: 4.92892 },
-  "fl oz": { to: "ml", factor: 29.5735 },
-  floz: { to: "ml", factor: 29.5735 },
-  "fluid ounce": { to: "ml", factor: 29.5735 },
-  "fluid ounces": { to: "ml", factor: 29.5735 },
-  pint: { to: "ml", factor: 473.176 },
-  pints: { to: "ml", factor: 473.176 },
-  quart: { to: "ml", factor: 946.353 },
-  quarts: { to: "ml", factor: 946.353 },
-  gallon: { to: "ml", factor: 3785.41 },
-  gallons: { to: "ml", factor: 3785.41 },
-
-  // Speed
-  mph: { to: "km/h", factor: 1.609344 },
-  milesperhour: { to: "km/h", factor: 1.609344 },
-  "miles per hour": { to: "km/h", factor: 1.609344 },
-  "km/h": { to: "mph", factor: 0.621371192 },
-  kph: { to: "mph", factor: 0.621371192 },
-  kmh: { to: "mph", factor: 0.621371192 },
-  kilometersperhour: { to: "mph", factor: 0.621371192 },
-  "kilometers per hour": { to: "mph", factor: 0.621371192 },
-  mpg: { to: "l/100km", convert: (val) => 235.214583 / val },
-  "l/100km": { to: "mpg", convert: (val) => 235.214583 / val },
-
-  // Volume
-  gal: { to: "l", factor: 3.78541178 },
-  l: { to: "gal", factor: 0.264172052 },
-  liter: { to: "gal", factor: 0.264172052 },
-  litre: { to: "gal", factor: 0.264172052 },
-  qt: { to: "l", factor: 0.946352946 },
-  fl: { to: "ml", factor: 29.5735295625 },
-  ml: { to: "fl", factor: 0.0338140227 },
-  milliliter: { to: "fl", factor: 0.0338140227 },
-  millilitre: { to: "fl", factor: 0.0338140227 },
-
-  // Distance
-  mi: { to: "km", factor: 1.609344 },
-  mile: { to: "km", factor: 1.609344 },
-  miles: { to: "km", factor: 1.609344 },
-  km: { to: "mi", factor: 0.621371192 },
-  kilometer: { to: "mi", factor: 0.621371192 },
-  kilometre: { to: "mi", factor: 0.621371192 },
-  kilometers: { to: "mi", factor: 0.621371192 },
-  kilometres: { to: "mi", factor: 0.621371192 },
-  yd: { to: "m", factor: 0.9144 },
-  yard: { to: "m", factor: 0.9144 },
-  yards: { to: "m", factor: 0.9144 },
-  m: { to: "yd", factor: 1.0936133 },
-  meter: { to: "yd", factor: 1.0936133 },
-  metre: { to: "yd", factor: 1.0936133 },
-  meters: { to: "yd", factor: 1.0936133 },
-  metres: { to: "yd", factor: 1.0936133 },
-  ft: { to: "m", factor: 0.3048 },
-  foot: { to: "m", factor: 0.3048 },
-  feet: { to: "m", factor: 0.3048 },
-  in: { to: "cm", factor: 2.54 },
-  inch: { to: "cm", factor: 2.54 },
-  inches: { to: "cm", factor: 2.54 },
-  centimeter: { to: "in", factor: 0.393700787 },
-  centimetre: { to: "in", factor: 0.393700787 },
-  centimeters: { to: "in", factor: 0.393700787 },
-  centimetres: { to: "in", factor: 0.393700787 },
-  cm: { to: "in", factor: 0.393700787 },
-  mm: { to: "in", factor: 0.0393700787 },
-  millimeter: { to: "in", factor: 0.0393700787 },
-  millimetre: { to: "in", factor: 0.0393700787 },
-  millimeters: { to: "in", factor: 0.0393700787 },
-  millimetres: { to: "in", factor: 0.0393700787 },
-
-  // Power
-  kW: { to: "hp", factor: 1.34102209 },
-  kilowatt: { to: "hp", factor: 1.34102209 },
-  kilowatts: { to: "hp", factor: 1.34102209 },
-  hp: { to: "kW", factor: 0.745699872 },
-  horsepower: { to: "kW", factor: 0.745699872 },
-  "horse power": { to: "kW", factor: 0.745699872 },
-
-  // Torque
-  "lb ft": { to: "Nm", factor: 1.35581795 },
-  "lb-ft": { to: "Nm", factor: 1.35581795 },
-  poundfoot: { to: "Nm", factor: 1.35581795 },
-  "pound-foot": { to: "Nm", factor: 1.35581795 },
-  "pound feet": { to: "Nm", factor: 1.35581795 },
-  Nm: { to: "lb ft", factor: 0.737562149 },
-  newtonmeter: { to: "lb ft", factor: 0.737562149 },
-  "newton-meter": { to: "lb ft", factor: 0.737562149 },
-  "newton metres": { to: "lb ft", factor: 0.737562149 },
-
-  // Nautical Distance
-  nmi: { to: "km", factor: 1.852 },
-  "nautical mile": { to: "km", factor: 1.852 },
-  "nautical miles": { to: "km", factor: 1.852 },
-
-  // Bitcoin Subunits (only works when crypto API is available)
-  BITS: {
-    to: "USD",
-    convert: (val) => val * 0.000001 * (cryptoRates.prices?.bitcoin?.usd || 0),
-  }, // 1 bit = 0.000001 BTC, then convert to USD
-  SATS: {
-    to: "USD",
-    convert: (val) =>
-      val * 0.00000001 * (cryptoRates.prices?.bitcoin?.usd || 0),
-  }, // 1 satoshi = 0.00000001 BTC, then convert to USD
+// --- Localized Currency Names ---
+// Keyed by language; matched like CURRENCY_NAMES, ignoring case and accents
+const LOCALIZED_CURRENCY_NAMES = {
+  bg: {
+    лев: "BGN",
+    лева: "BGN",
+    евро: "EUR",
+    долар: "USD",
+    долара: "USD",
+    долари: "USD",
+    "британски паунда": "GBP",
+    рубла: "RUB",
+    рубли: "RUB",
+    йени: "JPY",
+    юана: "CNY",
+    "швейцарски франка": "CHF",
+    "турски лири": "TRY",
+  },
+  ru: {
+    руб: "RUB",
+    рубль: "RUB",
+    рубля: "RUB",
+    рублей: "RUB",
+    евро: "EUR",
+    доллар: "USD",
+    доллара: "USD",
+    долларов: "USD",
+    "фунт стерлингов": "GBP",
+    "фунта стерлингов": "GBP",
+    "фунтов стерлингов": "GBP",
+    иена: "JPY",
+    иен: "JPY",
+    юань: "CNY",
+    юаня: "CNY",
+    юаней: "CNY",
+    гривна: "UAH",
+    гривны: "UAH",
+    гривен: "UAH",
+    тенге: "KZT",
+  },
+  de: {
+    "Pfund Sterling": "GBP",
+    Franken: "CHF",
+    "Schweizer Franken": "CHF",
+    Rubel: "RUB",
+    Lew: "BGN",
+    Lewa: "BGN",
+    Zloty: "PLN",
+  },
+  es: {
+    dólar: "USD",
+    dólares: "USD",
+    "libra esterlina": "GBP",
+    "libras esterlinas": "GBP",
+    rublo: "RUB",
+    rublos: "RUB",
+    "franco suizo": "CHF",
+    "francos suizos": "CHF",
+    reales: "BRL",
+    yenes: "JPY",
+  },
+  ja: {
+    円: "JPY",
+    ドル: "USD",
+    米ドル: "USD",
+    ユーロ: "EUR",
+    英ポンド: "GBP",
+    ウォン: "KRW",
+    人民元: "CNY",
+    元: "CNY",
+  },
+  zh: {
+    元: "CNY",
+    块: "CNY",
+    人民币: "CNY",
+    圆: "CNY",
+    圓: "TWD",
+    新台币: "TWD",
+    新台幣: "TWD",
+    港币: "HKD",
+    港幣: "HKD",
+    美元: "USD",
+    欧元: "EUR",
+    歐元: "EUR",
+    英镑: "GBP",
+    英鎊: "GBP",
+    日元: "JPY",
+    日圓: "JPY",
+    韩元: "KRW",
+    韓元: "KRW",
+  },
+  ko: {
+    원: "KRW",
+    달러: "USD",
+    유로: "EUR",
+    엔: "JPY",
+    파운드: "GBP",
+    위안: "CNY",
+  },
 };
 
+// Every currency word, English and localized, folded like unit spellings
+const CURRENCY_WORDS = new Map(
+  [CURRENCY_NAMES, ...Object.values(LOCALIZED_CURRENCY_NAMES)]
+    .flatMap((names) => Object.entries(names))
+    .map(([word, code]) => [UnitIndex.fold(word), code]),
+);
+
+// Currencies shown alongside the preferred currency (source and preferred are skipped)
+const CURRENCY_EXTRA_TARGETS = ["USD", "EUR", "GBP"];
+
 // ===== ERROR HANDLING SYSTEM =====
 
 // --- Centralized error handling for consistent error management ---
@@ -979,8 +1186,6 @@ const DOMCache = {
   copyButton: null,
   conversionContainer: null,
   errorContainer: null,
-  convertedValueSpan: null,
-  copyConvertedButton: null,
   buttonContainer: null,
 
   /**
@@ -994,14 +1199,6 @@ const DOMCache = {
     this.conversionContainer = shadowRoot.getElementById("conversionContainer");
     this.errorContainer = shadowRoot.getElementById("errorContainer");
 
-    // Cache nested elements with fallback for optimized structure
-    if (this.conversionContainer) {
-      this.convertedValueSpan =
-        this.conversionContainer.querySelector(".converted-value");
-      this.copyConvertedButton =
-        this.conversionContainer.querySelector(".copy-button");
-    }
-
     // Store references to optimized elements if available
     if (typeof popupElements !== "undefined") {
       this.searchButton = this.searchButton || popupElements.searchButton;
@@ -1009,10 +1206,6 @@ const DOMCache = {
       this.conversionContainer =
         this.conversionContainer || popupElements.conversionContainer;
       this.errorContainer = this.errorContainer || popupElements.errorContainer;
-      this.convertedValueSpan =
-        this.convertedValueSpan || popupElements.convertedValueSpan;
-      this.copyConvertedButton =
-        this.copyConvertedButton || popupElements.copyButton;
       this.buttonContainer = popupElements.buttonContainer;
     } else {
       this.buttonContainer = null;
@@ -1037,8 +1230,6 @@ const DOMCache = {
     this.copyButton = null;
     this.conversionContainer = null;
     this.errorContainer = null;
-    this.convertedValueSpan = null;
-    this.copyConvertedButton = null;
     this.buttonContainer = null;
   },
 };
@@ -1375,7 +1566,7 @@ const EventManager = {
 // --- Global variable to store the currently selected text ---
 let currentSelectedText = "";
 let isUrlSelected = false;
-let convertedValue = null;
+let convertedValues = [];
 let exchangeRatesError = null;
 let cryptoRatesError = null;
 let isSelectionComplete = false;
@@ -1384,6 +1575,30 @@ let isSelectionComplete = false;
 let preferredCurrency = "BGN";
 let preferredCryptoCurrency = "USD";
 let preferredSearchEngine = "google";
+// Additional targets shown per category (e.g. lb plus oz for "5 kg")
+let extraConversionTargets = 2;
+// "" converts both ways; "metric", "us" or "uk" skips units already in that system
+let unitSystem = "";
+// Per-category target overrides, e.g. { length: "cm", volume: "l" }
+let unitTargets = {};
+// UNIT_DEFINITIONS labels added by the user's custom unit rules
+let customUnitLabels = [];
+// Locale results are formatted in ("" uses the browser's)
+let numberLocale = "";
+// "formatted" copies a result as shown, "raw" copies its plain number
+let copyFormat = "formatted";
+// Group INR results in lakhs and crores ("₹5,00,000")
+let indianNumbering = false;
+// Named zones every selected time is also shown in, e.g. { name: "Ana", timeZone: "America/New_York" }
+let teamTimeZones = [];
+// Local working hours ("HH:MM") team times are checked against
+let workingHours = { start: "09:00", end: "17:00" };
+// Zones the user picked for ambiguous abbreviations, e.g. { IST: "Asia/Jerusalem" }
+let ambiguousTimeZones = {};
+// Decimal separator used for the current selection (see detectNumberFormat)
+let numberFormat = { decimal: ".", source: "default", ambiguous: false };
+// Decimal separator the user picked from the popup, for one selection only
+let numberFormatOverride = null;
 
 // --- Currency exchange rates cache ---
 let exchangeRates = {
@@ -1402,7 +1617,21 @@ let cryptoRates = {
 // Fetch all preferences from chrome.storage.sync
 if (typeof chrome !== "undefined" && chrome.storage && chrome.storage.sync) {
   chrome.storage.sync.get(
-    ["preferredCurrency", "preferredCryptoCurrency", "preferredSearchEngine"],
+    [
+      "preferredCurrency",
+      "preferredCryptoCurrency",
+      "preferredSearchEngine",
+      "extraConversionTargets",
+      "unitSystem",
+      "unitTargets",
+      "customUnits",
+      "numberLocale",
+      "copyFormat",
+      "indianNumbering",
+      "ambiguousTimeZones",
+      "teamTimeZones",
+      "workingHours",
+    ],
     (result) => {
       if (result.preferredCurrency) {
         preferredCurrency = result.preferredCurrency;
@@ -1413,16 +1642,88 @@ if (typeof chrome !== "undefined" && chrome.storage && chrome.storage.sync) {
       if (result.preferredSearchEngine) {
         preferredSearchEngine = result.preferredSearchEngine;
       }
+      if (Number.isInteger(result.extraConversionTargets)) {
+        extraConversionTargets = result.extraConversionTargets;
+      }
+      if (UNIT_SYSTEMS[result.unitSystem]) {
+        unitSystem = result.unitSystem;
+      }
+      if (result.unitTargets && typeof result.unitTargets === "object") {
+        unitTargets = result.unitTargets;
+      }
+      if (typeof result.numberLocale === "string") {
+        numberLocale = result.numberLocale;
+      }
+      if (result.copyFormat === "raw") {
+        copyFormat = "raw";
+      }
+      indianNumbering = result.indianNumbering === true;
+      if (
+        result.ambiguousTimeZones &&
+        typeof result.ambiguousTimeZones === "object"
+      ) {
+        ambiguousTimeZones = result.ambiguousTimeZones;
+      }
+      if (Array.isArray(result.teamTimeZones)) {
+        teamTimeZones = result.teamTimeZones;
+      }
+      if (result.workingHours?.start && result.workingHours?.end) {
+        workingHours = result.workingHours;
+      }
+      applyCustomUnits(result.customUnits);
       // Fetch rates once on startup for caching
       fetchExchangeRates();
       fetchCryptoRates();
     },
   );
+
+  // Custom units apply immediately; other preferences still need a reload
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "sync" && changes.customUnits) {
+      applyCustomUnits(changes.customUnits.newValue);
+    }
+  });
 } else {
   fetchExchangeRates();
   fetchCryptoRates();
 }
 
+/**
+ * Replace the custom units in UNIT_DEFINITIONS with the given rules
+ * Invalid rules are skipped and logged so they can never produce NaN results.
+ * @param {Object[]} rules - Rules saved by the options page
+ */
+function applyCustomUnits(rules) {
+  for (const label of customUnitLabels) delete UNIT_DEFINITIONS[label];
+  customUnitLabels = [];
+  // Validation checks spellings against the built-in units only
+  UnitIndex.build();
+
+  const accepted = [];
+  for (const rule of Array.isArray(rules) ? rules : []) {
+    const { errors, warnings } = validateCustomUnit(rule, accepted);
+    if (errors.length > 0) {
+      ErrorHandler.log(
+        `Skipping custom unit "${rule?.name}": ${errors.join("; ")}`,
+        "custom-units",
+        "warn",
+      );
+      continue;
+    }
+    warnings.forEach((warning) =>
+      ErrorHandler.log(warning, "custom-units", "info"),
+    );
+    const definitions = createCustomUnitDefinitions(rule);
+    for (const [label, definition] of Object.entries(definitions)) {
+      if (UNIT_DEFINITIONS[label]) continue;
+      UNIT_DEFINITIONS[label] = definition;
+      customUnitLabels.push(label);
+    }
+    accepted.push(rule);
+  }
+  UnitIndex.build();
+}
+
 async function fetchCryptoRates() {
   const now = Date.now();
   if (
@@ -1439,41 +1740,6 @@ async function fetchCryptoRates() {
   let fetchVs = vsCurrency;
   if (vsCurrency === "bgn") fetchVs = "eur"; // Fetch EUR if BGN is selected
 
-  /**
-   * Apply crypto quote prices to UNIT_CONVERSIONS.
-   * This must run for both API success and cached fallback.
-   * @param {string} fetchVsLocal - CoinGecko quote currency (e.g. "usd" or "eur")
-   * @param {string} vsCurrencyLocal - Preferred crypto currency (e.g. "usd" or "bgn")
-   */
-  const applyCryptoRatesToUnitConversions = (fetchVsLocal, vsCurrencyLocal) => {
-    for (const [symbol, id] of Object.entries(CRYPTO_CURRENCIES)) {
-      const coinPrices = cryptoRates.prices?.[id];
-      const quotePrice = coinPrices?.[fetchVsLocal];
-      if (typeof quotePrice !== "number") continue;
-
-      let convertFn;
-      let toLabel = (vsCurrencyLocal || "").toUpperCase();
-
-      if (
-        vsCurrencyLocal === "bgn" &&
-        exchangeRates.rates &&
-        typeof exchangeRates.rates["EUR"] === "number"
-      ) {
-        // Convert EUR price to BGN
-        const eurRate = exchangeRates.rates["EUR"];
-        convertFn = (val) => val * quotePrice * eurRate;
-        toLabel = "BGN";
-      } else {
-        convertFn = (val) => val * quotePrice;
-      }
-
-      UNIT_CONVERSIONS[symbol] = {
-        to: toLabel,
-        convert: convertFn,
-      };
-    }
-  };
-
   /**
    * Validate and load cached crypto rates from localStorage.
    * Ensures cached quote currency matches requested fetchVsLocal.
@@ -1529,7 +1795,6 @@ async function fetchCryptoRates() {
   const earlyCacheResult = validateAndLoadCryptoCache(fetchVs);
   if (earlyCacheResult.valid) {
     cryptoRates = earlyCacheResult.parsed;
-    applyCryptoRatesToUnitConversions(fetchVs, vsCurrency);
     cryptoRatesError = null;
     const lastUpdateFormatted = formatLastUpdate(
       earlyCacheResult.parsed.lastUpdated,
@@ -1569,7 +1834,6 @@ async function fetchCryptoRates() {
         "info",
       );
       cryptoRatesError = `Using crypto prices from ${lastUpdateFormatted} (API unavailable)`;
-      applyCryptoRatesToUnitConversions(fetchVs, vsCurrency);
       return;
     }
 
@@ -1613,7 +1877,6 @@ async function fetchCryptoRates() {
       cryptoRates.lastUpdated = now;
       cryptoRates.vsCurrency = fetchVs;
       cryptoRatesError = null; // Clear error on success
-      applyCryptoRatesToUnitConversions(fetchVs, vsCurrency);
 
       localStorage.setItem("cryptoRates", JSON.stringify(cryptoRates));
       lastCryptoError = null;
@@ -1641,8 +1904,10 @@ async function fetchCryptoRates() {
   }
 }
 
-// Shared helper: apply API data into exchangeRates + UNIT_CONVERSIONS
+// Shared helper: apply API data into exchangeRates
 // Eliminates duplicated processing between primary and fallback branches.
+// The currency converter reads exchangeRates directly, so cached and fresh
+// rates behave the same.
 function processExchangeRateData(data) {
   const target = preferredCurrency || "BGN";
   exchangeRates.rates = {};
@@ -1653,26 +1918,6 @@ function processExchangeRateData(data) {
     } else {
       exchangeRates.rates[currency] = 1;
     }
-    if (currency !== target) {
-      UNIT_CONVERSIONS[currency] = {
-        to: target,
-        convert: (val) => val * exchangeRates.rates[currency],
-      };
-      if (CURRENCY_SYMBOLS[currency]) {
-        UNIT_CONVERSIONS[CURRENCY_SYMBOLS[currency]] = {
-          to: target,
-          convert: (val) => val * exchangeRates.rates[currency],
-        };
-      }
-    }
-  }
-  for (const [name, code] of Object.entries(CURRENCY_NAMES)) {
-    if (exchangeRates.rates[code] && code !== target) {
-      UNIT_CONVERSIONS[name] = {
-        to: target,
-        convert: (val) => val * exchangeRates.rates[code],
-      };
-    }
   }
   exchangeRates.lastUpdated = Date.now();
 }
@@ -1866,150 +2111,1179 @@ async function fetchExchangeRates() {
 
 // ===== CONVERSION ENGINE =====
 
-// --- Time Zone Conversion ---
-function convertTimeZone(
-  text,
-  userTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone,
-) {
-  // 12-hour: 5 PM PST, 11:30 am CET, 10:00pm PT; 24-hour: 14:00 EST
-  const matchTZ = text.trim().match(REGEX_PATTERNS.timeZone);
-  if (!matchTZ) return null;
-  let hour = parseInt(matchTZ[1], 10);
-  let minute = matchTZ[2] ? parseInt(matchTZ[2], 10) : 0;
-  let ampm = matchTZ[3] ? matchTZ[3].toUpperCase() : null;
-  let tz = matchTZ[4];
-  if (isNaN(hour) || hour < 0 || hour > 23 || minute < 0 || minute > 59)
-    return null;
-  if (ampm) {
-    if (ampm === "PM" && hour < 12) hour += 12;
-    if (ampm === "AM" && hour === 12) hour = 0;
-  }
-  if (!TIME_ZONE_ABBRS[tz]) return null;
-  try {
-    // Use today's date for conversion
-    const now = new Date();
-    // Build a date string in the source time zone
-    const dateStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}T${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}:00`;
-    // Get the source time zone IANA name
-    const srcTimeZone = TIME_ZONE_ABBRS[tz];
-    // Convert to UTC from the source time zone
-    const srcDate = new Date(
-      new Date(
-        dateStr + getTimeZoneOffsetString(srcTimeZone, dateStr),
-      ).toISOString(),
-    );
-    // Format in user's local time zone
-    const localFormatter = new Intl.DateTimeFormat([], {
-      hour: "2-digit",
-      minute: "2-digit",
-      hour12: false,
-      timeZone: userTimeZone,
-    });
-    const localTime = localFormatter.format(srcDate);
-    return {
-      original: text,
-      converted: `${localTime} (your time)`,
-      value: localTime,
-    };
-  } catch (e) {
-    return null;
-  }
+/**
+ * Registry of converters that turn a selection into conversion results.
+ * Each converter declares:
+ * - name: unique identifier (re-registering a name replaces the old entry)
+ * - priority: higher runs first and its results are listed first
+ * - match(text): returns a truthy match object, or null when not applicable
+ * - convert(match, prefs): returns a result, an array of results, or null
+ *   (may be async)
+ * All matching converters contribute; a failing converter is logged and skipped.
+ * @namespace ConverterRegistry
+ */
+const ConverterRegistry = {
+  /** @type {Array<{name: string, priority: number, match: Function, convert: Function}>} */
+  converters: [],
+
+  /**
+   * Register a converter, keeping the list sorted by descending priority
+   * @param {Object} converter - Converter definition
+   * @returns {boolean} True if the converter was registered
+   */
+  register(converter) {
+    if (
+      !converter ||
+      typeof converter.name !== "string" ||
+      typeof converter.match !== "function" ||
+      typeof converter.convert !== "function"
+    ) {
+      ErrorHandler.log(
+        "Ignoring converter without name, match() or convert()",
+        "converter-registry",
+        "warn",
+      );
+      return false;
+    }
+    this.unregister(converter.name);
+    this.converters.push({ ...converter, priority: converter.priority || 0 });
+    this.converters.sort((a, b) => b.priority - a.priority);
+    return true;
+  },
+
+  /**
+   * Remove a converter by name
+   * @param {string} name - Converter name
+   */
+  unregister(name) {
+    this.converters = this.converters.filter((c) => c.name !== name);
+  },
+
+  /**
+   * Run every matching converter against the text
+   * @param {string} text - Selected text
+   * @param {Object} prefs - Conversion preferences (see getConversionPrefs)
+   * @returns {Promise<Array<{original: string, converted: string, value: *, converter: string}>>}
+   */
+  async convertAll(text, prefs) {
+    const results = [];
+    for (const converter of this.converters) {
+      try {
+        const match = converter.match(text);
+        if (!match) continue;
+        const output = await converter.convert(match, prefs);
+        const list = Array.isArray(output) ? output : [output];
+        for (const result of list) {
+          if (result) results.push({ ...result, converter: converter.name });
+        }
+      } catch (error) {
+        ErrorHandler.log(error, `converter-${converter.name}`, "warn");
+      }
+    }
+    return results;
+  },
+};
+
+/**
+ * Snapshot of the user preferences converters depend on
+ * @returns {{preferredCurrency: string, preferredCryptoCurrency: string, extraConversionTargets: number, unitSystem: string, unitTargets: Object<string, string>, numberLocale: string, indianNumbering: boolean, userTimeZone: string, teamTimeZones: Array<{name: string, timeZone: string}>, workingHours: {start: string, end: string}}}
+ */
+function getConversionPrefs() {
+  return {
+    preferredCurrency,
+    preferredCryptoCurrency,
+    extraConversionTargets,
+    unitSystem,
+    unitTargets,
+    numberLocale,
+    indianNumbering,
+    userTimeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    teamTimeZones,
+    workingHours,
+  };
 }
-// Helper to get the offset string for a given IANA time zone and date
-function getTimeZoneOffsetString(timeZone, dateStr) {
+
+// --- Dates ---
+const MONTH_PATTERN =
+  "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?";
+const WEEKDAY_PATTERN =
+  "(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)\\.?";
+const MONTH_NUMBERS = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+const WEEKDAY_NUMBERS = {
+  sun: 0,
+  mon: 1,
+  tue: 2,
+  wed: 3,
+  thu: 4,
+  fri: 5,
+  sat: 6,
+};
+const RELATIVE_DAYS = { yesterday: -1, today: 0, tonight: 0, tomorrow: 1 };
+
+/**
+ * Expand a two-digit year ("26") to a full one
+ * @param {string} [year]
+ * @returns {number|undefined}
+ */
+function readYear(year) {
+  if (!year) return undefined;
+  const value = parseInt(year, 10);
+  return year.length === 2 ? 2000 + value : value;
+}
+
+/**
+ * Whether the page writes numeric dates month first (10/20/2026)
+ * @returns {boolean}
+ */
+function pageMonthFirst() {
+  const locale = document.documentElement.lang || navigator.language;
   try {
-    const dtf = new Intl.DateTimeFormat("en-US", {
-      timeZone,
-      hour12: false,
-      year: "numeric",
-      month: "2-digit",
-      day: "2-digit",
-      hour: "2-digit",
-      minute: "2-digit",
-      second: "2-digit",
-    });
-    const parts = dtf.formatToParts(new Date(dateStr));
-    const y = parts.find((p) => p.type === "year").value;
-    const m = parts.find((p) => p.type === "month").value;
-    const d = parts.find((p) => p.type === "day").value;
-    const h = parts.find((p) => p.type === "hour").value;
-    const min = parts.find((p) => p.type === "minute").value;
-    const s = parts.find((p) => p.type === "second").value;
-    const utc = Date.UTC(y, m - 1, d, h, min, s);
-    const local = new Date(`${dateStr}`).getTime();
-    const offset = (local - utc) / 60000;
-    const sign = offset <= 0 ? "+" : "-";
-    const abs = Math.abs(offset);
-    const hh = String(Math.floor(abs / 60)).padStart(2, "0");
-    const mm = String(abs % 60).padStart(2, "0");
-    return `${sign}${hh}:${mm}`;
+    const parts = new Intl.DateTimeFormat(locale).formatToParts(
+      new Date(2000, 10, 22),
+    );
+    const order = parts.filter((p) => p.type === "day" || p.type === "month");
+    return order[0]?.type === "month";
   } catch {
-    return "+00:00";
+    return true;
   }
 }
 
-// --- Unit Conversion Helpers ---
 /**
- * Handle cryptocurrency conversion
+ * Date spellings, each with a reader returning a date spec:
+ * {year?, month, day}, {days} relative to today or {weekday}
  */
-async function handleCryptoConversion(text) {
-  const upperCaseText = text.toUpperCase();
-  if (!CRYPTO_CURRENCIES[upperCaseText]) return null;
-
-  // Show loading state
-  const errorContainer = DOMCache.get("errorContainer");
-  const conversionContainer = DOMCache.get("conversionContainer");
+const DATE_FORMS = [
+  {
+    // 2026-11-02
+    pattern: "(\\d{4})-(\\d{1,2})-(\\d{1,2})",
+    read: (m) => ({ year: +m[1], month: +m[2], day: +m[3] }),
+  },
+  {
+    // 20/10/2026, 10/20, 20.10.2026
+    // Selected on its own it needs a year, or "3/4" would read as a date
+    needsYear: true,
+    pattern:
+      "(\\d{1,2})(?:/(\\d{1,2})(?:/(\\d{4}|\\d{2}))?|\\.(\\d{1,2})\\.(\\d{4}|\\d{2})?)",
+    read: (m) => {
+      const first = +m[1];
+      const second = +(m[2] || m[4]);
+      const monthFirst =
+        first <= 12 && (second > 12 || (!m[4] && pageMonthFirst()));
+      return {
+        year: readYear(m[3] || m[5]),
+        month: monthFirst ? first : second,
+        day: monthFirst ? second : first,
+      };
+    },
+  },
+  {
+    // Oct 20, Tue, Oct 20, 2026
+    pattern: `(?:${WEEKDAY_PATTERN},?\\s+)?${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`,
+    read: (m) => ({
+      year: readYear(m[4]),
+      month: MONTH_NUMBERS[m[2].slice(0, 3).toLowerCase()],
+      day: +m[3],
+    }),
+  },
+  {
+    // 20 Oct, Tuesday 20th of October 2026
+    pattern: `(?:${WEEKDAY_PATTERN},?\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?`,
+    read: (m) => ({
+      year: readYear(m[4]),
+      month: MONTH_NUMBERS[m[3].slice(0, 3).toLowerCase()],
+      day: +m[2],
+    }),
+  },
+  {
+    // Friday, next Friday
+    pattern: `(?:next\\s+)?${WEEKDAY_PATTERN}`,
+    read: (m) => ({ weekday: WEEKDAY_NUMBERS[m[1].slice(0, 3).toLowerCase()] }),
+  },
+  {
+    pattern: "(yesterday|today|tonight|tomorrow)",
+    read: (m) => ({ days: RELATIVE_DAYS[m[1].toLowerCase()] }),
+  },
+].map((form) => ({
+  ...form,
+  leading: new RegExp(
+    `^(?:${form.pattern})(?:,?\\s+at\\s+|,\\s*|T(?=\\d)|\\s+)`,
+    "i",
+  ),
+  trailing: new RegExp(`(?:,\\s*|\\s+on\\s+|\\s+)(?:${form.pattern})$`, "i"),
+  whole: new RegExp(`^(?:${form.pattern})$`, "i"),
+}));
 
-  if (errorContainer) {
-    errorContainer.textContent = "Loading crypto prices...";
-    errorContainer.style.display = "block";
+/**
+ * Split a date written before or after the rest of the text,
+ * e.g. "Oct 20, 3 PM EST" or "3 PM EST tomorrow"
+ * @param {string} text
+ * @returns {{date: Object|null, rest: string}}
+ */
+function splitDatePhrase(text) {
+  const trimmed = text.trim();
+  for (const form of DATE_FORMS) {
+    const leading = trimmed.match(form.leading);
+    if (leading) {
+      return {
+        date: form.read(leading),
+        rest: trimmed.slice(leading[0].length),
+      };
+    }
+    const trailing = trimmed.match(form.trailing);
+    if (trailing) {
+      return {
+        date: form.read(trailing),
+        rest: trimmed.slice(0, trailing.index),
+      };
+    }
   }
-  if (conversionContainer) conversionContainer.style.display = "none";
+  return { date: null, rest: trimmed };
+}
 
-  await fetchCryptoRates();
-  const id = CRYPTO_CURRENCIES[upperCaseText];
-  let vsCurrency = preferredCryptoCurrency
-    ? preferredCryptoCurrency.toLowerCase()
-    : "usd";
-  let price = null;
-  if (
-    vsCurrency === "bgn" &&
-    cryptoRates.prices[id] &&
-    cryptoRates.prices[id]["eur"] &&
-    exchangeRates.rates &&
-    exchangeRates.rates["EUR"]
-  ) {
-    price = cryptoRates.prices[id]["eur"] * exchangeRates.rates["EUR"];
-  } else if (cryptoRates.prices[id] && cryptoRates.prices[id][vsCurrency]) {
-    price = cryptoRates.prices[id][vsCurrency];
-  }
-  if (price !== null) {
+/**
+ * Calendar date in a time zone
+ * @param {Date} date
+ * @param {string} timeZone - IANA zone
+ * @returns {{year: number, month: number, day: number}}
+ */
+function zonedDate(date, timeZone) {
+  if (OFFSET_TIME_ZONE.test(timeZone)) {
+    const [hours, minutes] = timeZone.slice(1).split(":").map(Number);
+    const sign = timeZone[0] === "-" ? -1 : 1;
+    const shifted = new Date(
+      date.getTime() + sign * (hours * 60 + minutes) * 60000,
+    );
     return {
-      original: `1 ${upperCaseText}`,
-      converted: `${price.toFixed(2)} ${preferredCryptoCurrency.toUpperCase()}`,
-      value: price,
+      year: shifted.getUTCFullYear(),
+      month: shifted.getUTCMonth() + 1,
+      day: shifted.getUTCDate(),
     };
   }
-  return null;
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+  }).formatToParts(date);
+  const part = (type) => +parts.find((p) => p.type === type).value;
+  return { year: part("year"), month: part("month"), day: part("day") };
 }
 
 /**
- * Handle currency loading state and refresh
+ * Move a calendar date by whole days
+ * @param {{year: number, month: number, day: number}} date
+ * @param {number} days
  */
-function handleCurrencyLoading(text) {
-  const currencyRegex = /[€$£¥₺₽₹₩₪₱฿₣₦₲₵₡₫₭₮₯₠₢₳₴₸₼₾₿]|[A-Z]{3}/;
-  const isCurrencyLike = currencyRegex.test(text);
-
-  if (isCurrencyLike && exchangeRatesError) {
-    // Show loading state for currency rates
-    const errorContainer = DOMCache.get("errorContainer");
-    const conversionContainer = DOMCache.get("conversionContainer");
+function addDays({ year, month, day }, days) {
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+  };
+}
 
-    if (errorContainer) {
-      errorContainer.textContent = "Loading exchange rates...";
-      errorContainer.style.display = "block";
-    }
-    if (conversionContainer) conversionContainer.style.display = "none";
+/**
+ * Turn a date spec from splitDatePhrase into a calendar date, counting
+ * "tomorrow" and weekdays from today in the given zone
+ * @param {Object|null} spec
+ * @param {string} timeZone - IANA zone
+ * @returns {{year: number, month: number, day: number}|null} null when invalid
+ */
+function resolveDate(spec, timeZone) {
+  const today = zonedDate(new Date(), timeZone);
+  if (!spec) return today;
+  if ("days" in spec) return addDays(today, spec.days);
+  if ("weekday" in spec) {
+    const current = new Date(
+      Date.UTC(today.year, today.month - 1, today.day),
+    ).getUTCDay();
+    return addDays(today, (spec.weekday - current + 7) % 7);
+  }
+  const date = {
+    year: spec.year ?? today.year,
+    month: spec.month,
+    day: spec.day,
+  };
+  const check = addDays(date, 0);
+  return check.month === date.month && check.day === date.day ? date : null;
+}
+
+// --- Date Conversion ---
+/**
+ * Parse a selection that is only a calendar date, e.g. "2026-12-24",
+ * "24.12.2026", "12/24/2026", "December 24th", "Thu, 24 Dec 2026"
+ * @param {string} text - Selected text
+ * @returns {{date: {year: number, month: number, day: number}, yearStated: boolean}|null}
+ */
+function parseCalendarDate(text) {
+  const trimmed = text.trim();
+  for (const form of DATE_FORMS) {
+    const match = trimmed.match(form.whole);
+    if (!match) continue;
+    const spec = form.read(match);
+    // Weekdays and "tomorrow" alone are words, not dates
+    if (!("month" in spec)) return null;
+    if (form.needsYear && spec.year === undefined) return null;
+    const date = resolveDate(
+      spec,
+      Intl.DateTimeFormat().resolvedOptions().timeZone,
+    );
+    return date ? { date, yearStated: spec.year !== undefined } : null;
+  }
+  return null;
+}
+
+/**
+ * Describe a calendar date: weekday and date in the user's locale, ISO 8601
+ * and the distance from today
+ * A date without a year that has already passed means its next occurrence.
+ * @param {string} text - Selected text
+ * @param {{date: {year: number, month: number, day: number}, yearStated: boolean}} parsed - See parseCalendarDate
+ * @param {{numberLocale: string, userTimeZone: string}} prefs
+ * @returns {Array<{original: string, converted: string, value: string}>}
+ */
+function convertCalendarDate(text, { date, yearStated }, prefs) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const locale = prefs.numberLocale || undefined;
+  const today = zonedDate(new Date(), prefs.userTimeZone);
+  const todayUtc = Date.UTC(today.year, today.month - 1, today.day);
+  if (!yearStated) {
+    // "January 5th" read in October is next January; February 29th waits for a leap year
+    let year = today.year;
+    while (
+      Date.UTC(year, date.month - 1, date.day) < todayUtc ||
+      addDays({ year, month: date.month, day: date.day }, 0).day !== date.day
+    ) {
+      year++;
+    }
+    date = { ...date, year };
+  }
+  const utc = Date.UTC(date.year, date.month - 1, date.day);
+  const long = new Intl.DateTimeFormat(locale, {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  }).format(utc);
+  const iso = `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+  const days = Math.round((utc - todayUtc) / 86400000);
+  const relative = formatRelativeDays(days, locale);
+  return [
+    { original: text, converted: long, value: long },
+    { original: text, converted: `${iso} (ISO 8601)`, value: iso },
+    { original: text, converted: relative, value: relative },
+  ];
+}
+
+// --- Time Zone Conversion ---
+// Fixed offsets are carried as "+05:30" instead of an IANA name
+const OFFSET_TIME_ZONE = /^[+-]\d{2}:\d{2}$/;
+// Folded city name -> IANA zone, built from Intl on first use
+let ianaCityZones = null;
+
+/**
+ * Pick the zone an ambiguous abbreviation (IST, CST) means on this page
+ * @param {string} abbr - Key of AMBIGUOUS_TIME_ZONES
+ * @returns {string} IANA zone
+ */
+function resolveAmbiguousTimeZone(abbr) {
+  const candidates = AMBIGUOUS_TIME_ZONES[abbr];
+  const chosen = candidates.find((c) => c.zone === ambiguousTimeZones[abbr]);
+  if (chosen) return chosen.zone;
+  // The most specific language tag wins, so zh-TW beats zh
+  const lang = document.documentElement.lang.toLowerCase();
+  let byLang = null;
+  let matchedLength = 0;
+  for (const candidate of candidates) {
+    for (const tag of candidate.langs) {
+      const lower = tag.toLowerCase();
+      if (
+        (lang === lower || lang.startsWith(`${lower}-`)) &&
+        lower.length > matchedLength
+      ) {
+        byLang = candidate;
+        matchedLength = lower.length;
+      }
+    }
+  }
+  if (byLang) return byLang.zone;
+  const tld = location.hostname.split(".").pop();
+  const byDomain = candidates.find((c) => c.tld === tld);
+  if (byDomain) return byDomain.zone;
+  const ownZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return (candidates.find((c) => c.zone === ownZone) || candidates[0]).zone;
+}
+
+/**
+ * Read a UTC offset ("UTC+5:30", "GMT-3", "+0530")
+ * @param {string} text
+ * @returns {string|null} Offset as "+05:30"
+ */
+function parseUtcOffset(text) {
+  const match = text.match(REGEX_PATTERNS.utcOffset);
+  if (!match) return null;
+  const sign = (match[1] || match[4]) === "+" ? "+" : "-";
+  const hours = parseInt(match[2] || match[5], 10);
+  const minutes = parseInt(match[3] || match[6] || "0", 10);
+  if (hours > 14 || minutes > 59) return null;
+  return `${sign}${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+/**
+ * Canonical IANA name when Intl supports the zone ("europe/paris" -> "Europe/Paris")
+ * @param {string} name
+ * @returns {string|null}
+ */
+function canonicalTimeZone(name) {
+  try {
+    return new Intl.DateTimeFormat("en-US", {
+      timeZone: name.replace(/\s+/g, "_"),
+    }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Look up a city or country in CITY_TIME_ZONES, then in the city part of
+ * the IANA names Intl supports
+ * @param {string} name - e.g. "Singapore", "São Paulo", "Mumbai"
+ * @returns {string|null}
+ */
+function cityTimeZone(name) {
+  const key = UnitIndex.fold(name);
+  if (CITY_TIME_ZONES[key]) return CITY_TIME_ZONES[key];
+  if (!ianaCityZones) {
+    ianaCityZones = new Map();
+    const zones = Intl.supportedValuesOf?.("timeZone") || [];
+    for (const zone of zones) {
+      if (!zone.includes("/") || zone.startsWith("Etc/")) continue;
+      const city = zone.split("/").pop().replace(/_/g, " ");
+      ianaCityZones.set(UnitIndex.fold(city), zone);
+    }
+  }
+  return ianaCityZones.get(key) || null;
+}
+
+/**
+ * Resolve the zone part of a time: abbreviations and names
+ * (TIME_ZONE_ABBRS, AMBIGUOUS_TIME_ZONES), UTC offsets, IANA zones and
+ * "<city> time"
+ * @param {string} name
+ * @returns {string|null} IANA zone or fixed offset ("+05:30")
+ */
+function resolveTimeZone(name) {
+  const trimmed = name.trim();
+  const abbr = trimmed.toUpperCase();
+  if (AMBIGUOUS_TIME_ZONES[abbr]) return resolveAmbiguousTimeZone(abbr);
+  if (TIME_ZONE_ABBRS[trimmed]) return TIME_ZONE_ABBRS[trimmed];
+  if (TIME_ZONE_ABBRS[abbr]) return TIME_ZONE_ABBRS[abbr];
+  const offset = parseUtcOffset(trimmed);
+  if (offset) return offset;
+  if (trimmed.includes("/")) return canonicalTimeZone(trimmed);
+  return cityTimeZone(trimmed.replace(/\s+(?:standard\s+)?time$/i, ""));
+}
+
+/**
+ * 24-hour clock hour of a 12-hour one
+ * @param {number} hour
+ * @param {string|null} ampm - "AM", "PM" or null for a 24-hour time
+ * @returns {number}
+ */
+function toHour24(hour, ampm) {
+  if (ampm === "PM" && hour < 12) return hour + 12;
+  if (ampm === "AM" && hour === 12) return 0;
+  return hour;
+}
+
+/**
+ * Parse a time with a zone and an optional date, e.g. "5 PM PST",
+ * "11:30 am CET", "Mar 30, 3:00 PM EST", "2026-11-02 09:00 PT".
+ * A range ("3-4:30 PM ET", "9am to 5pm PST") also gives an end time,
+ * on the next day when it is not after the start.
+ * @param {string} text - Selected text
+ * @returns {{hour: number, minute: number, srcTimeZone: string, date: {year: number, month: number, day: number}, dateStated: boolean, end: {hour: number, minute: number, date: Object}|null}|null}
+ */
+function parseTimeZoneText(text) {
+  const { date: dateSpec, rest } = splitDatePhrase(text);
+  const matchStart = rest.match(REGEX_PATTERNS.timeRangeStart);
+  const matchTZ = rest
+    .slice(matchStart ? matchStart[0].length : 0)
+    .match(REGEX_PATTERNS.timeZone);
+  if (!matchTZ) return null;
+  let hour = parseInt(matchTZ[1], 10);
+  let minute = matchTZ[2] ? parseInt(matchTZ[2], 10) : 0;
+  let ampm = matchTZ[3] ? matchTZ[3].toUpperCase() : null;
+  let tz = matchTZ[4];
+  if (isNaN(hour) || hour < 0 || hour > 23 || minute < 0 || minute > 59)
+    return null;
+  hour = toHour24(hour, ampm);
+  const srcTimeZone = resolveTimeZone(tz);
+  if (!srcTimeZone) return null;
+  const date = resolveDate(dateSpec, srcTimeZone);
+  if (!date) return null;
+  if (!matchStart) {
+    return {
+      hour,
+      minute,
+      srcTimeZone,
+      date,
+      dateStated: !!dateSpec,
+      end: null,
+    };
+  }
+
+  // The range's start; "3-4 PM" shares the end's PM, "11-1 PM" starts at 11 AM
+  const startHour = parseInt(matchStart[1], 10);
+  const startMinute = matchStart[2] ? parseInt(matchStart[2], 10) : 0;
+  if (startHour > 23 || startMinute > 59) return null;
+  let start = toHour24(
+    startHour,
+    matchStart[3] ? matchStart[3].toUpperCase() : ampm,
+  );
+  if (!matchStart[3] && ampm === "PM" && start > hour) start -= 12;
+  const end = { hour, minute, date };
+  if (start * 60 + startMinute >= hour * 60 + minute) {
+    end.date = addDays(date, 1);
+  }
+  return {
+    hour: start,
+    minute: startMinute,
+    srcTimeZone,
+    date,
+    dateStated: !!dateSpec,
+    end,
+  };
+}
+
+/**
+ * Instant a parsed time (see parseTimeZoneText) stands for. The offset is
+ * taken on the stated date so DST matches it.
+ * @returns {Date}
+ */
+function parsedTimeToDate({ hour, minute, srcTimeZone, date }) {
+  const pad = (n) => String(n).padStart(2, "0");
+  // Build a date string in the source time zone
+  const dateStr = `${date.year}-${pad(date.month)}-${pad(date.day)}T${pad(hour)}:${pad(minute)}:00`;
+  // Convert to UTC from the source time zone
+  return new Date(
+    new Date(
+      dateStr + getTimeZoneOffsetString(srcTimeZone, dateStr),
+    ).toISOString(),
+  );
+}
+
+/**
+ * Wall-clock time of an instant in a zone, prefixed with the day when a
+ * date was stated or the day differs from the source date
+ * @param {Date} instant
+ * @param {Object} parsed - See parseTimeZoneText
+ * @param {string} timeZone - IANA zone
+ * @returns {string} e.g. "21:00" or "Tue, Oct 20, 03:00"
+ */
+function formatZonedTime(instant, parsed, timeZone) {
+  const { date, dateStated } = parsed;
+  const time = new Intl.DateTimeFormat([], {
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+    timeZone,
+  }).format(instant);
+  const localDate = zonedDate(instant, timeZone);
+  const dayShifted =
+    localDate.year !== date.year ||
+    localDate.month !== date.month ||
+    localDate.day !== date.day;
+  if (!dateStated && !dayShifted) return time;
+  const day = new Intl.DateTimeFormat([], {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    timeZone,
+  }).format(instant);
+  return `${day}, ${time}`;
+}
+
+/**
+ * Like formatZonedTime, followed by the end time of a range, which gets
+ * its own day when it falls on a later day than the start
+ * @param {Object} parsed - See parseTimeZoneText
+ * @param {string} timeZone - IANA zone
+ * @returns {string} e.g. "Tue, Oct 20, 21:00–22:30" or "19:00–Tue, Oct 20, 03:00"
+ */
+function formatZonedRange(parsed, timeZone) {
+  const startInstant = parsedTimeToDate(parsed);
+  const start = formatZonedTime(startInstant, parsed, timeZone);
+  if (!parsed.end) return start;
+  const end = formatZonedTime(
+    parsedTimeToDate({ ...parsed, ...parsed.end }),
+    { date: zonedDate(startInstant, timeZone), dateStated: false },
+    timeZone,
+  );
+  return `${start}–${end}`;
+}
+
+/**
+ * Convert a parsed time (see parseTimeZoneText) into the user's time zone.
+ * The result carries the event times for "Add to calendar".
+ */
+function convertParsedTime(text, parsed, userTimeZone) {
+  try {
+    const localTime = formatZonedRange(parsed, userTimeZone);
+    return {
+      original: text,
+      converted: `${localTime} (your time)`,
+      value: localTime,
+      event: {
+        start: parsedTimeToDate(parsed),
+        end: parsed.end ? parsedTimeToDate({ ...parsed, ...parsed.end }) : null,
+        timeZone: parsed.srcTimeZone,
+      },
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Minutes since midnight of an "HH:MM" string
+ * @param {string} time
+ * @returns {number}
+ */
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether an instant, or a range starting at it, falls on a weekday within
+ * the working hours of a zone. Hours whose end is before their start run
+ * past midnight.
+ * @param {Date} instant
+ * @param {string} timeZone - IANA zone
+ * @param {{start: string, end: string}} hours - "HH:MM" local times
+ * @param {Date} [until] - End of the range; it may end right at closing time
+ * @returns {boolean}
+ */
+function isWithinWorkingHours(
+  instant,
+  timeZone,
+  { start, end },
+  until = instant,
+) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+    timeZone,
+  }).formatToParts(instant);
+  const part = (type) => parts.find((p) => p.type === type).value;
+  if (part("weekday") === "Sat" || part("weekday") === "Sun") return false;
+  const now = minutesOfDay(`${part("hour")}:${part("minute")}`);
+  const from = minutesOfDay(start);
+  const to = minutesOfDay(end);
+  const inside = from <= to ? now >= from && now < to : now >= from || now < to;
+  if (!inside) return false;
+  // The rest of the range has to fit before the working day ends
+  const left = (to - now + 1440) % 1440 || 1440;
+  return (until - instant) / 60000 <= left;
+}
+
+/**
+ * One row per configured team time zone, flagging times (or any part of a
+ * range) outside working hours
+ * @param {string} text - Selected text
+ * @param {Object} parsed - See parseTimeZoneText
+ * @param {Array<{name: string, timeZone: string}>} team
+ * @param {{start: string, end: string}} hours
+ * @returns {Array<{original: string, converted: string, value: string}>}
+ */
+function convertTeamTimes(text, parsed, team, hours) {
+  const instant = parsedTimeToDate(parsed);
+  const until = parsed.end
+    ? parsedTimeToDate({ ...parsed, ...parsed.end })
+    : instant;
+  const results = [];
+  for (const member of team) {
+    try {
+      const localTime = formatZonedRange(parsed, member.timeZone);
+      const outside = isWithinWorkingHours(
+        instant,
+        member.timeZone,
+        hours,
+        until,
+      )
+        ? ""
+        : ", outside working hours";
+      results.push({
+        original: text,
+        converted: `${localTime} (${member.name} — ${member.timeZone}${outside})`,
+        value: localTime,
+      });
+    } catch (error) {
+      ErrorHandler.log(error, "team-time-zones", "warn");
+    }
+  }
+  return results;
+}
+
+function convertTimeZone(
+  text,
+  userTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+) {
+  // 12-hour: 5 PM PST, 11:30 am CET, 10:00pm PT; 24-hour: 14:00 EST
+  const parsed = parseTimeZoneText(text);
+  if (!parsed) return null;
+  return convertParsedTime(text, parsed, userTimeZone);
+}
+/**
+ * Minutes a zone is ahead of UTC at an instant (-240 for New York in summer)
+ * @param {Date} date
+ * @param {string} timeZone - IANA zone
+ * @returns {number}
+ */
+function timeZoneOffsetMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const part = (type) => +parts.find((p) => p.type === type).value;
+  const wallAsUtc = Date.UTC(
+    part("year"),
+    part("month") - 1,
+    part("day"),
+    part("hour"),
+    part("minute"),
+    part("second"),
+  );
+  return Math.round((wallAsUtc - date.getTime()) / 60000);
+}
+
+// Helper to get the offset string for a given IANA time zone and date
+function getTimeZoneOffsetString(timeZone, dateStr) {
+  if (OFFSET_TIME_ZONE.test(timeZone)) return timeZone;
+  try {
+    // Offset at the wall time read as UTC, then at the instant that gives,
+    // so a time just after a DST change gets the new offset
+    const wall = new Date(`${dateStr}Z`).getTime();
+    let offset = timeZoneOffsetMinutes(new Date(wall), timeZone);
+    offset = timeZoneOffsetMinutes(new Date(wall - offset * 60000), timeZone);
+    const sign = offset >= 0 ? "+" : "-";
+    const abs = Math.abs(offset);
+    const hh = String(Math.floor(abs / 60)).padStart(2, "0");
+    const mm = String(abs % 60).padStart(2, "0");
+    return `${sign}${hh}:${mm}`;
+  } catch {
+    return "+00:00";
+  }
+}
+
+// --- Calendar Export ---
+/**
+ * Escape a TEXT value (RFC 5545, 3.3.11)
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeIcsText(text) {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line into chunks of at most 75 octets (RFC 5545, 3.1)
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let chunk = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    if (size + charSize > 75) {
+      chunks.push(chunk);
+      // Continuation lines start with a space, which counts towards the limit
+      chunk = " ";
+      size = 1;
+    }
+    chunk += char;
+    size += charSize;
+  }
+  chunks.push(chunk);
+  return chunks.join("\r\n");
+}
+
+/**
+ * iCalendar DATE-TIME: UTC ("20261020T190000Z") or, given a zone, its wall
+ * time ("20261020T150000") to be paired with TZID
+ * @param {Date} date
+ * @param {string} [timeZone] - IANA zone
+ * @returns {string}
+ */
+function formatIcsDate(date, timeZone) {
+  if (!timeZone) {
+    return date
+      .toISOString()
+      .replace(/[-:]/g, "")
+      .replace(/\.\d{3}/, "");
+  }
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return `${part("year")}${part("month")}${part("day")}T${part("hour")}${part("minute")}${part("second")}`;
+}
+
+/**
+ * UTC offset of a zone at an instant, as iCalendar writes it ("-0400")
+ * @param {Date} date
+ * @param {string} timeZone - IANA zone
+ * @returns {string}
+ */
+function icsUtcOffset(date, timeZone) {
+  const minutes = timeZoneOffsetMinutes(date, timeZone);
+  const abs = Math.abs(minutes);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${minutes < 0 ? "-" : "+"}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+/**
+ * Build an iCalendar file with one event. Times keep the source zone as
+ * TZID (with a VTIMEZONE holding its offset on that day); fixed offsets,
+ * UTC and events spanning a DST change are written in UTC instead.
+ * Without an end time the event lasts an hour.
+ * @param {{start: Date, end: Date|null, timeZone: string}} event - See convertParsedTime
+ * @param {{title: string, url: string, description: string}} details
+ * @returns {string}
+ */
+function buildIcsEvent(event, details) {
+  const { start, timeZone } = event;
+  const end = event.end || new Date(start.getTime() + 60 * 60000);
+  const zoned =
+    !OFFSET_TIME_ZONE.test(timeZone) &&
+    !timeZone.startsWith("Etc/") &&
+    icsUtcOffset(start, timeZone) === icsUtcOffset(end, timeZone);
+  const dateLine = (name, date) =>
+    zoned
+      ? `${name};TZID=${timeZone}:${formatIcsDate(date, timeZone)}`
+      : `${name}:${formatIcsDate(date)}`;
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Search Popup//Add to calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (zoned) {
+    const offset = icsUtcOffset(start, timeZone);
+    lines.push(
+      "BEGIN:VTIMEZONE",
+      `TZID:${timeZone}`,
+      "BEGIN:STANDARD",
+      "DTSTART:19700101T000000",
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      "END:STANDARD",
+      "END:VTIMEZONE",
+    );
+  }
+  lines.push(
+    "BEGIN:VEVENT",
+    `UID:${Date.now()}-${Math.random().toString(36).slice(2)}@search-popup`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    dateLine("DTSTART", start),
+    dateLine("DTEND", end),
+    `SUMMARY:${escapeIcsText(details.title)}`,
+  );
+  if (details.url) lines.push(`URL:${details.url}`);
+  if (details.description) {
+    lines.push(`DESCRIPTION:${escapeIcsText(details.description)}`);
+  }
+  lines.push("END:VEVENT", "END:VCALENDAR");
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+}
+
+// --- Unit Conversion Helpers ---
+/**
+ * Parse a crypto amount with the symbol on either side, e.g. "0.5 BTC",
+ * "ETH 1,250.75", "250 sats" or a bare "BTC" (amount 1)
+ * @param {string} text - Selected text
+ * @returns {{amount: number, symbol: string, original: string}|null}
+ *   amount is in whole coins; original is the amount as written
+ */
+function parseCryptoAmount(text) {
+  const trimmed = text.trim();
+  const bareSymbol = trimmed.toUpperCase();
+  if (CRYPTO_CURRENCIES[bareSymbol]) {
+    return { amount: 1, symbol: bareSymbol, original: `1 ${bareSymbol}` };
+  }
+
+  const quantity = parseQuantity(trimmed);
+  if (!quantity || !Number.isFinite(quantity.value)) return null;
+  const unit = quantity.unit.trim().toUpperCase();
+  const subunit = CRYPTO_SUBUNITS[unit];
+  if (subunit && (!subunit.needsContext || pageMentionsBitcoin())) {
+    return {
+      amount: quantity.value / subunit.factor,
+      symbol: subunit.symbol,
+      original: formatSubunitCount(quantity.value, subunit),
+    };
+  }
+  if (!CRYPTO_CURRENCIES[unit]) return null;
+  return {
+    amount: quantity.value,
+    symbol: unit,
+    original: `${quantity.value} ${unit}`,
+  };
+}
+
+/**
+ * Whether the page is about Bitcoin, so "bits" can be read as a coin subunit
+ * @returns {boolean}
+ */
+function pageMentionsBitcoin() {
+  const body = document.body;
+  const text = `${document.title} ${body ? (body.innerText ?? body.textContent) : ""}`;
+  return /\b(?:BTC|bitcoin)\b/i.test(text);
+}
+
+/**
+ * Format a count of coin subunits with a singular or plural label
+ * @param {number} count - Number of subunits
+ * @param {Object} subunit - Entry from CRYPTO_SUBUNITS
+ * @param {string} [locale] - Locale to format in; omit to keep the number as written
+ * @returns {string} e.g. "1 bit", "12,500 sats"
+ */
+function formatSubunitCount(count, subunit, locale) {
+  const formatted =
+    locale === undefined
+      ? String(count)
+      : formatNumber(count, locale, { maximumFractionDigits: 0 });
+  return `${formatted} ${count === 1 ? subunit.one : subunit.label}`;
+}
+
+/**
+ * Look up the cached price of one coin in the given currency
+ * BGN is derived from the EUR quote, since CoinGecko is queried in EUR for BGN users
+ * @param {string} symbol - Crypto symbol, e.g. "BTC"
+ * @param {string} currency - Quote currency, e.g. "USD"
+ * @returns {number|null} Price, or null when not cached
+ */
+function getCryptoPrice(symbol, currency) {
+  const id = CRYPTO_CURRENCIES[symbol];
+  const coinPrices = cryptoRates.prices?.[id];
+  const vsCurrency = currency.toLowerCase();
+  if (!coinPrices) return null;
+  if (
+    vsCurrency === "bgn" &&
+    coinPrices["eur"] &&
+    exchangeRates.rates &&
+    exchangeRates.rates["EUR"]
+  ) {
+    return coinPrices["eur"] * exchangeRates.rates["EUR"];
+  }
+  return coinPrices[vsCurrency] || null;
+}
+
+/**
+ * Handle cryptocurrency conversion
+ * @param {{amount: number, symbol: string}} cryptoAmount - See parseCryptoAmount
+ * @param {Object} prefs - Conversion preferences
+ */
+async function handleCryptoConversion(
+  cryptoAmount,
+  prefs = getConversionPrefs(),
+) {
+  const { amount, symbol, original } = cryptoAmount;
+
+  showLoadingState("Loading crypto prices...");
+  await fetchCryptoRates();
+  const targetCurrency = (prefs.preferredCryptoCurrency || "USD").toUpperCase();
+  const price = getCryptoPrice(symbol, targetCurrency);
+  if (price !== null) {
+    const value = amount * price;
+    return {
+      original,
+      converted: formatCurrency(
+        value,
+        targetCurrency,
+        prefs.numberLocale,
+        prefs.indianNumbering,
+      ),
+      value,
+    };
+  }
+  return null;
+}
+
+/**
+ * Split an explicit conversion phrase such as "100 USD in BTC"
+ * Every separator is a candidate split, so "5 in to cm" yields both
+ * "5" / "to cm" and "5 in" / "cm"; callers keep the first split they understand.
+ * @param {string} text - Selected text
+ * @returns {Array<{source: string, target: string}>} Candidate splits, left to right
+ */
+function parseConversionPhrase(text) {
+  const trimmed = text.trim().replace(REGEX_PATTERNS.trailingPunctuation, "");
+  const candidates = [];
+  for (const separator of trimmed.matchAll(
+    REGEX_PATTERNS.conversionSeparator,
+  )) {
+    const source = trimmed.slice(0, separator.index).trim();
+    const target = trimmed.slice(separator.index + separator[0].length).trim();
+    if (source && target) candidates.push({ source, target });
+  }
+  return candidates;
+}
+
+/**
+ * Parse a fiat-to-crypto phrase, e.g. "100 USD in BTC", "€50 to ETH", "20 EUR in sats"
+ * @param {string} text - Selected text
+ * @returns {{amount: number, code: string, symbol: string, subunit: Object|null}|null}
+ */
+function parseFiatToCrypto(text) {
+  for (const phrase of parseConversionPhrase(text)) {
+    const target = phrase.target.toUpperCase();
+    const subunit = CRYPTO_SUBUNITS[target] || null;
+    const symbol = subunit ? subunit.symbol : target;
+    if (!CRYPTO_CURRENCIES[symbol]) continue;
+
+    const quantity = parseQuantity(phrase.source);
+    if (!quantity || !Number.isFinite(quantity.value)) continue;
+    const code = resolveCurrencyCode(quantity.unit);
+    if (!code) continue;
+    return { amount: quantity.value, code, symbol, subunit };
+  }
+  return null;
+}
+
+/**
+ * Format a coin quantity with enough precision for small amounts
+ * Six significant digits, never finer than one satoshi (8 decimals)
+ * @param {number} quantity - Coin quantity
+ * @param {string} locale - Locale to format in ("" for the browser's)
+ * @returns {string} Formatted quantity, e.g. "0.00166667", "12.3457"
+ */
+function formatCryptoQuantity(quantity, locale) {
+  if (quantity === 0) return formatNumber(0, locale);
+  const decimals = Math.min(
+    8,
+    Math.max(0, 5 - Math.floor(Math.log10(Math.abs(quantity)))),
+  );
+  return formatNumber(quantity, locale, { maximumFractionDigits: decimals });
+}
+
+/**
+ * Handle fiat-to-crypto conversion using cached CoinGecko prices
+ * The fiat amount is first converted into the currency CoinGecko was queried in
+ * @param {Object} fiatToCrypto - See parseFiatToCrypto
+ * @param {Object} prefs - Conversion preferences
+ */
+async function handleFiatToCryptoConversion(
+  fiatToCrypto,
+  prefs = getConversionPrefs(),
+) {
+  const { amount, code, symbol, subunit } = fiatToCrypto;
+
+  showLoadingState("Loading crypto prices...");
+  await fetchCryptoRates();
+  const quoteCurrency = (cryptoRates.vsCurrency || "usd").toUpperCase();
+  const price = getCryptoPrice(symbol, quoteCurrency);
+  const quoteAmount =
+    code === quoteCurrency
+      ? amount
+      : convertCurrencyAmount(amount, code, quoteCurrency);
+  if (price === null || !Number.isFinite(quoteAmount)) return null;
+
+  const coins = quoteAmount / price;
+  const original = `${amount} ${code}`;
+  if (subunit) {
+    const count = Math.round(coins * subunit.factor);
+    return {
+      original,
+      converted: formatSubunitCount(count, subunit, prefs.numberLocale),
+      value: count,
+    };
+  }
+
+  const results = [
+    {
+      original,
+      converted: `${formatCryptoQuantity(coins, prefs.numberLocale)} ${symbol}`,
+      value: coins,
+    },
+  ];
+  // Tiny BTC amounts are easier to read in satoshis
+  if (symbol === "BTC" && coins < 0.01) {
+    const sats = Math.round(coins * SATOSHI.factor);
+    results.push({
+      original,
+      converted: formatSubunitCount(sats, SATOSHI, prefs.numberLocale),
+      value: sats,
+    });
+  }
+  return results;
+}
+
+/**
+ * Show a loading message in place of the conversion results
+ * @param {string} message - Message to display
+ */
+function showLoadingState(message) {
+  const errorContainer = DOMCache.get("errorContainer");
+  const conversionContainer = DOMCache.get("conversionContainer");
+
+  if (errorContainer) {
+    errorContainer.textContent = message;
+    errorContainer.style.display = "block";
+  }
+  if (conversionContainer) conversionContainer.style.display = "none";
+}
+
+/**
+ * Handle currency loading state and refresh
+ */
+function handleCurrencyLoading(text) {
+  const currencyRegex = /[€$£¥₺₽₹₩₪₱฿₣₦₲₵₡₫₭₮₯₠₢₳₴₸₼₾₿]|[A-Z]{3}/;
+  const isCurrencyLike = currencyRegex.test(text);
+
+  if (isCurrencyLike && exchangeRatesError) {
+    // Show loading state for currency rates
+    showLoadingState("Loading exchange rates...");
 
     // Trigger a refresh of exchange rates
     fetchExchangeRates().then(() => {
@@ -2020,166 +3294,1251 @@ function handleCurrencyLoading(text) {
 }
 
 /**
- * Parse value and unit from text using regex patterns
+ * Parse value and unit from text using regex patterns
+ */
+function parseValueAndUnit(text) {
+  const valueUnitMatch = text.trim().match(REGEX_PATTERNS.valueUnit);
+  const unitValueMatch = text.trim().match(REGEX_PATTERNS.unitValue);
+
+  if (!valueUnitMatch && !unitValueMatch) return null;
+
+  let value, unit;
+
+  // Check if currency symbol is before or after the number
+  if (valueUnitMatch) {
+    value = valueUnitMatch[1];
+    unit = valueUnitMatch[2];
+  } else if (unitValueMatch) {
+    value = unitValueMatch[2];
+    unit = unitValueMatch[1];
+  } else {
+    return null;
+  }
+
+  return { value, unit };
+}
+
+// Numerator and denominator of each Unicode vulgar fraction
+const VULGAR_FRACTIONS = {
+  "½": [1, 2],
+  "⅓": [1, 3],
+  "⅔": [2, 3],
+  "¼": [1, 4],
+  "¾": [3, 4],
+  "⅕": [1, 5],
+  "⅖": [2, 5],
+  "⅗": [3, 5],
+  "⅘": [4, 5],
+  "⅙": [1, 6],
+  "⅚": [5, 6],
+  "⅐": [1, 7],
+  "⅛": [1, 8],
+  "⅜": [3, 8],
+  "⅝": [5, 8],
+  "⅞": [7, 8],
+  "⅑": [1, 9],
+  "⅒": [1, 10],
+};
+
+/**
+ * Rewrite recipe-style fractions as plain "a/b" fractions
+ * "1½ cups" and "1 ½ cups" become "3/2 cups", "2 1/4 tsp" becomes "9/4 tsp"
+ * and the fraction slash in "1⁄2" becomes "/", so the existing fraction
+ * handling in parseNumericValue applies.
+ * @param {string} text - Selected text
+ * @returns {string} Text with normalised fractions
+ */
+function normalizeFractions(text) {
+  return text
+    .replace(REGEX_PATTERNS.vulgarFraction, (match, whole, fraction) => {
+      const [numerator, denominator] = VULGAR_FRACTIONS[fraction];
+      return `${(parseInt(whole, 10) || 0) * denominator + numerator}/${denominator}`;
+    })
+    .replace(
+      REGEX_PATTERNS.mixedNumber,
+      (match, whole, numerator, denominator) =>
+        `${parseInt(whole, 10) * denominator + parseInt(numerator, 10)}/${denominator}`,
+    )
+    .replace(/(\d)⁄(\d)/g, "$1/$2");
+}
+
+// --- East Asian Numbers ---
+// Full-width and compatibility forms used on CJK pages
+const WIDE_CHARACTERS = { "\u3000": " ", "￥": "¥", "￦": "₩", "￡": "£" };
+
+/**
+ * Replace full-width digits, letters and punctuation with their ASCII forms
+ * ("３，０００円" -> "3,000円")
+ * @param {string} text - Selected text
+ * @returns {string} Text with narrow characters
+ */
+function normalizeWideCharacters(text) {
+  return text.replace(/[\uFF01-\uFF5E\u3000￥￦￡]/g, (char) =>
+    WIDE_CHARACTERS[char] !== undefined
+      ? WIDE_CHARACTERS[char]
+      : String.fromCharCode(char.charCodeAt(0) - 0xfee0),
+  );
+}
+
+// Chinese and Japanese numerals, and the multipliers of CJK numbers
+const CJK_DIGITS = {
+  〇: 0,
+  零: 0,
+  一: 1,
+  二: 2,
+  两: 2,
+  兩: 2,
+  三: 3,
+  四: 4,
+  五: 5,
+  六: 6,
+  七: 7,
+  八: 8,
+  九: 9,
+};
+const CJK_SMALL_UNITS = { 十: 10, 百: 100, 千: 1e3, 천: 1e3 };
+const CJK_LARGE_UNITS = {
+  万: 1e4,
+  萬: 1e4,
+  만: 1e4,
+  亿: 1e8,
+  億: 1e8,
+  억: 1e8,
+  兆: 1e12,
+  조: 1e12,
+};
+
+/**
+ * Read a CJK number such as "三千", "5万", "1億2000万" or "2.5억"
+ * Digit runs may be ASCII; "," inside them is a grouping separator.
+ * @param {string} run - Digits, numerals and multipliers only
+ * @returns {number} Value of the number
+ */
+function parseCjkNumber(run) {
+  let total = 0;
+  let section = 0;
+  let current = null;
+  let previousWasDigit = false;
+  for (const token of run.match(/\d+(?:[.,]\d+)*|./gu)) {
+    if (/^\d/.test(token)) {
+      current = parseFloat(token.replace(/,/g, ""));
+      previousWasDigit = false;
+      continue;
+    }
+    if (token in CJK_DIGITS) {
+      // Numerals without multipliers are positional ("二〇二六")
+      current = previousWasDigit
+        ? current * 10 + CJK_DIGITS[token]
+        : CJK_DIGITS[token];
+      previousWasDigit = true;
+      continue;
+    }
+    previousWasDigit = false;
+    if (token in CJK_SMALL_UNITS) {
+      section += (current ?? 1) * CJK_SMALL_UNITS[token];
+    } else {
+      total += (section + (current ?? 0) || 1) * CJK_LARGE_UNITS[token];
+      section = 0;
+    }
+    current = null;
+  }
+  return total + section + (current ?? 0);
+}
+
+/**
+ * Rewrite CJK numbers as plain numbers ("5万円" -> "50000円", "三千元" -> "3000元")
+ * Runs without a digit are left alone, so "千葉" keeps its 千.
+ * @param {string} text - Selected text with narrow digits
+ * @returns {string} Text the ASCII patterns can read
+ */
+function normalizeCjkNumbers(text) {
+  return text.replace(REGEX_PATTERNS.cjkNumber, (run) => {
+    if (!/[^\d.,]/.test(run) || !/[\d〇零一二两兩三四五六七八九]/.test(run)) {
+      return run;
+    }
+    return String(parseCjkNumber(run));
+  });
+}
+
+// Multipliers of magnitude suffixes and words ("1.5k", "4 billion", "2 lakh")
+const NUMBER_MAGNITUDES = {
+  k: 1e3,
+  m: 1e6,
+  b: 1e9,
+  bn: 1e9,
+  thousand: 1e3,
+  million: 1e6,
+  billion: 1e9,
+  trillion: 1e12,
+  lakh: 1e5,
+  lakhs: 1e5,
+  lac: 1e5,
+  lacs: 1e5,
+  crore: 1e7,
+  crores: 1e7,
+  cr: 1e7,
+  arab: 1e9,
+  arabs: 1e9,
+};
+
+const SUPERSCRIPT_DIGITS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+/**
+ * Split the exponent and magnitude off a number ("3×10^8", "2.3M")
+ * @param {string} valueStr - Number as matched by REGEX_PATTERNS.valueUnit
+ * @returns {{mantissa: string, exponent: number, multiplier: number}}
+ */
+function splitNumberMagnitude(valueStr) {
+  let mantissa = valueStr.trim();
+  let exponent = 0;
+  let multiplier = 1;
+
+  const magnitude = mantissa.match(
+    /(?:\s*(k|M|B|bn)|\s+(thousand|million|billion|trillion|lakhs?|lacs?|crores?|cr|arabs?))$/i,
+  );
+  if (magnitude) {
+    multiplier *=
+      NUMBER_MAGNITUDES[(magnitude[1] || magnitude[2]).toLowerCase()];
+    mantissa = mantissa.slice(0, magnitude.index);
+  }
+
+  const exponentMatch = mantissa.match(
+    /(?:[eE]([-+]?\d+)|\s*[×xX*]\s*10(?:\^([-+]?\d+)|([⁻⁺]?[⁰¹²³⁴⁵⁶⁷⁸⁹]+)))$/,
+  );
+  if (exponentMatch) {
+    const power =
+      exponentMatch[1] ||
+      exponentMatch[2] ||
+      exponentMatch[3]
+        .replace("⁻", "-")
+        .replace("⁺", "")
+        .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]/g, (digit) => SUPERSCRIPT_DIGITS.indexOf(digit));
+    exponent = parseInt(power, 10);
+    mantissa = mantissa.slice(0, exponentMatch.index);
+  }
+  return { mantissa, exponent, multiplier };
+}
+
+// --- Number Format Detection ---
+// Country domains whose pages write "1.234,5"
+const DECIMAL_COMMA_TLDS = new Set([
+  "al",
+  "am",
+  "ar",
+  "at",
+  "az",
+  "ba",
+  "be",
+  "bg",
+  "bo",
+  "br",
+  "by",
+  "cl",
+  "co",
+  "cr",
+  "cz",
+  "de",
+  "dk",
+  "ec",
+  "ee",
+  "es",
+  "fi",
+  "fr",
+  "ge",
+  "gr",
+  "hr",
+  "hu",
+  "id",
+  "is",
+  "it",
+  "kz",
+  "lt",
+  "lu",
+  "lv",
+  "md",
+  "me",
+  "mk",
+  "nl",
+  "no",
+  "pl",
+  "pt",
+  "py",
+  "ro",
+  "rs",
+  "ru",
+  "se",
+  "si",
+  "sk",
+  "tr",
+  "ua",
+  "uy",
+  "uz",
+  "ve",
+  "vn",
+  "za",
+]);
+
+/**
+ * Decimal separator a single number spells out by itself
+ * "1.234,5" and "1,234,567" are clear; "1,234" and "1.234" are not.
+ * @param {string} numberStr - Digits with "." or "," separators
+ * @returns {string|null} "." or ",", or null when either reading fits
+ */
+function numberDecimalSeparator(numberStr) {
+  const digits = numberStr.replace(/[^\d.,]/g, "");
+  const separators = digits.match(/[.,]/g);
+  if (!separators) return null;
+  const last = separators[separators.length - 1];
+  // Both kinds: the last one is the decimal separator
+  if (separators.some((separator) => separator !== last)) return last;
+  // The same separator twice can only be grouping
+  if (separators.length > 1) return last === "," ? "." : ",";
+  const [whole, fraction] = digits.split(last);
+  // "0,125", "1.5", "1234,567": not a group of three after a group of up to three
+  if (fraction.length !== 3 || whole === "0" || whole.length > 3) return last;
+  return null;
+}
+
+/**
+ * Decimal separator of the page, from its lang attribute, then its domain
+ * @returns {{decimal: string, source: string}}
+ */
+function pageDecimalSeparator() {
+  const lang = document.documentElement.lang;
+  try {
+    if (lang && Intl.NumberFormat.supportedLocalesOf(lang).length) {
+      const decimal = new Intl.NumberFormat(lang)
+        .formatToParts(1.5)
+        .find((part) => part.type === "decimal")?.value;
+      if (decimal === "," || decimal === ".")
+        return { decimal, source: "lang" };
+    }
+  } catch (error) {
+    ErrorHandler.log(error, "number-format", "warn");
+  }
+  const tld = location.hostname.split(".").pop();
+  if (DECIMAL_COMMA_TLDS.has(tld)) return { decimal: ",", source: "domain" };
+  return { decimal: ".", source: "default" };
+}
+
+/**
+ * Decide which separator is the decimal one for a selection
+ * Numbers that spell it out win ("1.234,5 and 2.345"), then the user's choice
+ * from the popup, then the page language and domain.
+ * @param {string} text - Selected text
+ * @returns {{decimal: string, source: string, ambiguous: boolean}} ambiguous
+ *   is true when some number in the text reads differently either way
+ */
+function detectNumberFormat(text) {
+  const votes = { ".": 0, ",": 0 };
+  let ambiguous = false;
+  const numbers = normalizeWideCharacters(text).match(/\d+(?:[.,]\d+)+/g);
+  for (const number of numbers || []) {
+    const decimal = numberDecimalSeparator(number);
+    if (decimal) votes[decimal]++;
+    else ambiguous = true;
+  }
+  if (numberFormatOverride && numberFormatOverride.text === text) {
+    return { decimal: numberFormatOverride.decimal, source: "user", ambiguous };
+  }
+  if (votes["."] !== votes[","]) {
+    const decimal = votes["."] > votes[","] ? "." : ",";
+    return { decimal, source: "selection", ambiguous };
+  }
+  return { ...pageDecimalSeparator(), ambiguous };
+}
+
+/**
+ * Parse numeric value from string, handling fractions and different formats
+ * "." and "," are read with the number's own separators first, then
+ * numberFormat.decimal ("1.234" is 1234 on a German page, 1.234 otherwise).
+ */
+function parseNumericValue(valueStr) {
+  const { mantissa, exponent, multiplier } = splitNumberMagnitude(valueStr);
+  if (exponent !== 0 || multiplier !== 1) {
+    const value = parseNumericValue(mantissa);
+    // Scale through the "e" notation so 6.02e23 stays exact
+    return value === null ? null : Number(`${value}e${exponent}`) * multiplier;
+  }
+
+  // Handle fractions using pre-compiled pattern
+  if (valueStr.includes("/")) {
+    const fractionMatch = valueStr.match(REGEX_PATTERNS.fraction);
+    if (fractionMatch) {
+      const numerator = parseFloat(
+        fractionMatch[1]
+          .replace(REGEX_PATTERNS.decimalComma, ".")
+          .replace(/\s/g, ""),
+      );
+      const denominator = parseFloat(
+        fractionMatch[2]
+          .replace(REGEX_PATTERNS.decimalComma, ".")
+          .replace(/\s/g, ""),
+      );
+      return numerator / denominator;
+    } else {
+      return null; // Invalid fraction format
+    }
+  } else {
+    const decimal = numberDecimalSeparator(valueStr) || numberFormat.decimal;
+    // Drop spaces and grouping separators, then make the decimal a period
+    const value = valueStr
+      .replace(decimal === "," ? /[.\s]/g : /[,\s]/g, "")
+      .replace(REGEX_PATTERNS.decimalComma, ".");
+    return parseFloat(value);
+  }
+}
+
+/**
+ * Handle temperature conversion for a bare degree value such as "68°" or
+ * "68 degrees" (assumed Fahrenheit, since °C values are usually labelled)
+ */
+function handleTemperatureConversion(text, prefs = getConversionPrefs()) {
+  const tempMatch = text.trim().match(REGEX_PATTERNS.temperatureUnit);
+  if (!tempMatch) return null;
+  const tempValue = parseFloat(tempMatch[1]);
+  const celsius = ((tempValue - 32) * 5) / 9;
+  const formatted = formatNumber(celsius, prefs.numberLocale, {
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+  });
+  return {
+    original: `${tempValue}\u00B0`,
+    converted: `${formatted}\u00B0C`,
+    value: celsius,
+  };
+}
+
+/**
+ * Resolve a currency code, symbol or name to an ISO code
+ * @param {string} unit - Unit text, e.g. "usd", "€", "euros"
+ * @returns {string|null} ISO currency code, or null if not a currency
+ */
+function resolveCurrencyCode(unit) {
+  const trimmed = (unit || "").trim();
+  if (!trimmed) return null;
+  const upper = trimmed.toUpperCase();
+  // Lowercase codes that are also unit names ("1 cup") stay units
+  const isCodeLike = trimmed === upper || !UnitIndex.resolve(trimmed);
+  if (
+    isCodeLike &&
+    /^[A-Z]{3}$/.test(upper) &&
+    (exchangeRates.rates[upper] || CURRENCY_SYMBOLS[upper])
+  ) {
+    return upper;
+  }
+  const named = CURRENCY_WORDS.get(UnitIndex.fold(trimmed));
+  if (named) return named;
+  // Shared symbols ("$", "¥", "kr") resolve to the first code listed in CURRENCY_SYMBOLS.
+  // Letter symbols match case-sensitively so "10 ft" is not read as forint ("Ft").
+  for (const [code, symbol] of Object.entries(CURRENCY_SYMBOLS)) {
+    if (symbol === trimmed) return code;
+  }
+  return null;
+}
+
+/**
+ * Parse an explicit currency pair such as "100 USD to JPY" or "€20 in GBP"
+ * @param {string} text - Selected text
+ * @returns {{value: number, code: string, target: string}|null}
+ */
+function parseCurrencyPhrase(text) {
+  for (const { source, target } of parseConversionPhrase(text)) {
+    const quantity = parseQuantity(source);
+    if (!quantity || !Number.isFinite(quantity.value)) continue;
+    const code = resolveCurrencyCode(quantity.unit);
+    const targetCode = resolveCurrencyCode(target);
+    if (code && targetCode)
+      return { value: quantity.value, code, target: targetCode };
+  }
+  return null;
+}
+
+/**
+ * Round a number to a fixed number of decimal places
+ */
+function roundTo(value, decimals) {
+  return Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+}
+
+/**
+ * Round a unit value to 4 decimals, keeping 4 significant digits below 1
+ * ("12 µm" is 0.0004724 in, not 0) and 10 for very large values
+ */
+function roundUnitValue(value) {
+  const magnitude = Math.abs(value);
+  if (magnitude === 0 || !Number.isFinite(value)) return value;
+  if (magnitude < 1) return Number(value.toPrecision(4));
+  if (magnitude >= 1e10) return Number(value.toPrecision(10));
+  return roundTo(value, 4);
+}
+
+// --- Result Formatting ---
+// Intl.NumberFormat instances keyed by locale and options
+const numberFormatters = new Map();
+
+/**
+ * Get a cached Intl.NumberFormat
+ * @param {string} locale - BCP 47 locale, or "" for the browser's
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {Intl.NumberFormat|null} null when the locale or currency is invalid
+ */
+function getNumberFormatter(locale, options) {
+  const key = `${locale}|${JSON.stringify(options)}`;
+  if (!numberFormatters.has(key)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.NumberFormat(locale || undefined, options);
+    } catch (error) {
+      ErrorHandler.log(error, "number-format", "warn");
+    }
+    numberFormatters.set(key, formatter);
+  }
+  return numberFormatters.get(key);
+}
+
+/**
+ * Significant digits for a result: 4 below 1, otherwise 6 without ever
+ * rounding away whole digits, and scientific notation at the extremes
+ * @param {number} value - Value to format
+ * @returns {Object} Intl.NumberFormat options
+ */
+function significantDigitOptions(value) {
+  const magnitude = Math.abs(value);
+  if (magnitude !== 0 && (magnitude < 1e-6 || magnitude >= 1e15)) {
+    return { notation: "scientific", maximumSignificantDigits: 4 };
+  }
+  if (magnitude < 1) return { maximumSignificantDigits: 4 };
+  return {
+    maximumSignificantDigits: 6,
+    maximumFractionDigits: 0,
+    roundingPriority: "morePrecision",
+  };
+}
+
+/**
+ * Format a number with grouping for the user's locale
+ * @param {number} value - Value to format
+ * @param {string} locale - BCP 47 locale, or "" for the browser's
+ * @param {Object} [options] - Intl.NumberFormat options (significant digits by default)
+ * @returns {string} e.g. "4,535.92" or "4.535,92"
+ */
+function formatNumber(value, locale, options = significantDigitOptions(value)) {
+  const formatter =
+    getNumberFormatter(locale, options) || getNumberFormatter("", options);
+  return formatter ? formatter.format(value) : String(value);
+}
+
+/**
+ * Format an amount of money in currency style ("€1,234.56", "1 234,56 €")
+ * Codes Intl does not accept (e.g. "USDT") fall back to "<amount> <code>".
+ * @param {number} value - Amount
+ * @param {string} code - Currency code
+ * @param {string} locale - BCP 47 locale, or "" for the browser's
+ * @param {boolean} [indian] - Group INR amounts in lakhs and crores ("₹5,00,000")
+ */
+function formatCurrency(value, code, locale, indian = false) {
+  if (indian && code === "INR") locale = "en-IN";
+  const options = { style: "currency", currency: code };
+  const formatter =
+    getNumberFormatter(locale, options) || getNumberFormatter("", options);
+  if (formatter) return formatter.format(value);
+  const amount = formatNumber(value, locale, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+  return `${amount} ${code}`;
+}
+
+/**
+ * Convert an amount between two fiat currencies using cached exchange rates
+ * Rates are stored relative to the preferred currency (see processExchangeRateData)
+ * @returns {number} Converted amount, or NaN when a rate is missing
+ */
+function convertCurrencyAmount(value, from, to) {
+  const fromRate = exchangeRates.rates[from];
+  const toRate = exchangeRates.rates[to];
+  if (!fromRate || !toRate) return NaN;
+  return (value * fromRate) / toRate;
+}
+
+/**
+ * Convert a fiat amount into the requested currency, or into the preferred
+ * currency plus extra currencies when none was requested
+ * @param {number} value - Amount in the source currency
+ * @param {string} code - Source ISO currency code
+ * @param {Object} prefs - Conversion preferences
+ * @param {string|null} requestedTarget - Explicit target code ("100 USD to JPY")
+ * @returns {Array<{original: string, converted: string, value: number}>|null}
+ */
+function applyCurrencyConversion(value, code, prefs, requestedTarget = null) {
+  const target = prefs.preferredCurrency;
+  const extras = CURRENCY_EXTRA_TARGETS.filter(
+    (extra) => extra !== code && extra !== target,
+  ).slice(0, prefs.extraConversionTargets);
+  let targets = code === target ? extras : [target, ...extras];
+  if (requestedTarget) targets = [requestedTarget];
+
+  const results = [];
+  for (const to of targets) {
+    const converted = convertCurrencyAmount(value, code, to);
+    // Rates are missing until the API or cache provides them
+    if (!Number.isFinite(converted)) continue;
+    results.push({
+      original: `${value} ${code}`,
+      converted: formatCurrency(
+        converted,
+        to,
+        prefs.numberLocale,
+        prefs.indianNumbering,
+      ),
+      value: roundTo(converted, 2),
+    });
+  }
+  return results.length > 0 ? results : null;
+}
+
+/**
+ * Convert a value between two units of the same dimension via the base unit
+ * @param {number} value - Value in fromUnit
+ * @param {string} fromUnit - UNIT_DEFINITIONS label
+ * @param {string} toUnit - UNIT_DEFINITIONS label
+ * @returns {number} Converted value, or NaN if the units are incompatible
  */
-function parseValueAndUnit(text) {
-  const valueUnitMatch = text.trim().match(REGEX_PATTERNS.valueUnit);
-  const unitValueMatch = text.trim().match(REGEX_PATTERNS.unitValue);
+function convertUnitValue(value, fromUnit, toUnit) {
+  const from = UNIT_DEFINITIONS[fromUnit];
+  const to = UNIT_DEFINITIONS[toUnit];
+  if (!from || !to || from.dimension !== to.dimension) return NaN;
+  const baseValue = from.toBase
+    ? from.toBase(value)
+    : value * from.factor + (from.offset || 0);
+  return to.fromBase
+    ? to.fromBase(baseValue)
+    : (baseValue - (to.offset || 0)) / to.factor;
+}
 
-  if (!valueUnitMatch && !unitValueMatch) return null;
+/**
+ * Parse an explicit unit pair such as "10 km in m" or "72 °F to K"
+ * @param {string} text - Selected text
+ * @returns {{value: number, unit: string, target: string}|null} Labels of both units
+ */
+function parseUnitPhrase(text) {
+  for (const { source, target } of parseConversionPhrase(text)) {
+    const quantity = parseQuantity(source);
+    const targetUnit = UnitIndex.resolve(target);
+    if (!quantity || !targetUnit) continue;
+    const sourceUnit = UnitIndex.resolve(quantity.unit);
+    if (
+      sourceUnit &&
+      UNIT_DEFINITIONS[sourceUnit].dimension ===
+        UNIT_DEFINITIONS[targetUnit].dimension
+    ) {
+      return { value: quantity.value, unit: sourceUnit, target: targetUnit };
+    }
+  }
+  return null;
+}
 
-  let value, unit;
+/**
+ * Check whether a unit belongs to the preferred unit system
+ * @param {string} label - UNIT_DEFINITIONS label
+ * @param {string} system - Preferred system ("metric", "us" or "uk")
+ */
+function isUnitInSystem(label, system) {
+  const systems = UNIT_SYSTEMS[system];
+  return Boolean(systems && systems.includes(UNIT_DEFINITIONS[label]?.system));
+}
 
-  // Check if currency symbol is before or after the number
-  if (valueUnitMatch) {
-    value = valueUnitMatch[1];
-    unit = valueUnitMatch[2];
-  } else if (unitValueMatch) {
-    value = unitValueMatch[2];
-    unit = unitValueMatch[1];
-  } else {
-    return null;
+/**
+ * Pick the largest unit of a ladder that keeps the converted value at or above 1
+ * @param {number} value - Value in the source unit
+ * @param {string} label - Source unit label
+ * @param {string[]} ladder - Candidate labels, smallest first
+ * @returns {string|null} Chosen label, or null for an empty ladder
+ */
+function pickLadderTarget(value, label, ladder) {
+  if (!ladder || ladder.length === 0) return null;
+  let best = ladder[0];
+  for (const candidate of ladder) {
+    if (Math.abs(convertUnitValue(value, label, candidate)) >= 1)
+      best = candidate;
   }
+  return best;
+}
 
-  return { value, unit };
+/**
+ * Move a value within its unit's scale when it reads badly in that unit
+ * Values from 1 up to 1000 keep their unit; "0.0004 km" reads as "40 cm".
+ * @param {number} value - Value in the unit
+ * @param {string} label - Unit label
+ * @returns {string} Label of the best fitting unit of the same scale
+ */
+function fitUnitScale(value, label) {
+  const magnitude = Math.abs(value);
+  if (magnitude === 0 || (magnitude >= 1 && magnitude < 1000)) return label;
+  const scale = UNIT_SCALES[UNIT_DEFINITIONS[label]?.scale];
+  return scale?.includes(label) ? pickLadderTarget(value, label, scale) : label;
 }
 
 /**
- * Parse numeric value from string, handling fractions and different formats
+ * Choose the target for a unit when the selection does not name one
+ * Honours the per-category override, then the preferred unit system, then the
+ * unit's own default target.
+ * @param {number} value - Value in the source unit
+ * @param {string} label - Source unit label
+ * @param {Object} prefs - Conversion preferences
+ * @returns {string|null} Target label, or null when nothing should be converted
  */
-function parseNumericValue(valueStr) {
-  // Handle fractions using pre-compiled pattern
-  if (valueStr.includes("/")) {
-    const fractionMatch = valueStr.match(REGEX_PATTERNS.fraction);
-    if (fractionMatch) {
-      const numerator = parseFloat(
-        fractionMatch[1]
-          .replace(REGEX_PATTERNS.decimalComma, ".")
-          .replace(/\s/g, ""),
-      );
-      const denominator = parseFloat(
-        fractionMatch[2]
-          .replace(REGEX_PATTERNS.decimalComma, ".")
-          .replace(/\s/g, ""),
-      );
-      return numerator / denominator;
-    } else {
-      return null; // Invalid fraction format
-    }
-  } else {
-    // Normalize value using pre-compiled patterns for better performance
-    let value = valueStr.replace(REGEX_PATTERNS.thousandsSeparator, ""); // Remove thousands separators
-    value = value.replace(REGEX_PATTERNS.decimalComma, "."); // Replace decimal comma with period
-    return parseFloat(value);
+function resolveDefaultTarget(value, label, prefs) {
+  const definition = UNIT_DEFINITIONS[label];
+  const system = prefs.unitSystem;
+  // Already in the preferred system; the user can still ask with "in"/"to"
+  if (system && isUnitInSystem(label, system)) return null;
+
+  const override = prefs.unitTargets?.[definition.dimension];
+  let target = definition.toScale
+    ? pickLadderTarget(value, label, UNIT_SCALES[definition.toScale])
+    : definition.to;
+  if (
+    override &&
+    UNIT_DEFINITIONS[override]?.dimension === definition.dimension
+  ) {
+    target = override;
+  } else if (system && !isUnitInSystem(target, system)) {
+    const ladder = SYSTEM_TARGET_LADDERS[system]?.[definition.dimension];
+    target = pickLadderTarget(value, label, ladder) || target;
   }
+  return target === label ? null : target;
 }
 
 /**
- * Handle temperature conversion
+ * List the targets for a unit: the requested target, or the default target
+ * followed by the extra targets for its category
+ * @param {number} value - Value in the source unit
+ * @param {string} label - Source unit label
+ * @param {Object} prefs - Conversion preferences
+ * @param {string|null} requestedTarget - Explicit target label
+ * @returns {string[]} Target labels (empty when nothing should be converted)
  */
-function handleTemperatureConversion(text, value) {
-  // Special case for temperature without F suffix using pre-compiled pattern
-  const tempMatch = text.trim().match(REGEX_PATTERNS.temperatureUnit);
-  if (tempMatch || value === null) {
-    const tempValue = tempMatch ? parseFloat(tempMatch[1]) : value;
-    return {
-      original: `${tempValue}\u00B0`,
-      converted: `${(((tempValue - 32) * 5) / 9).toFixed(1)}\u00B0C`,
-      value: ((tempValue - 32) * 5) / 9,
-    };
+function resolveUnitTargets(value, label, prefs, requestedTarget = null) {
+  if (requestedTarget) return [requestedTarget];
+
+  const primary = resolveDefaultTarget(value, label, prefs);
+  if (!primary) return [];
+  const extras = (UNIT_EXTRA_TARGETS[primary] || []).filter(
+    (extra) =>
+      extra !== label &&
+      (!prefs.unitSystem || isUnitInSystem(extra, prefs.unitSystem)),
+  );
+  // The primary target moves to a better prefix ("0.01 in" reads as "254 µm"),
+  // unless the user picked it or the prefix would lead back to the source unit
+  const explicit =
+    prefs.unitTargets?.[UNIT_DEFINITIONS[label].dimension] === primary;
+  const fitted = explicit
+    ? primary
+    : fitUnitScale(convertUnitValue(value, label, primary), primary);
+  const targets = [
+    fitted === label ? primary : fitted,
+    ...extras.slice(0, prefs.extraConversionTargets),
+  ];
+  // Rescale within the unit's own family first ("1536 MiB" reads as "1.5 GiB")
+  targets.unshift(fitUnitScale(value, label));
+  return [...new Set(targets)].filter((target) => target !== label);
+}
+
+/**
+ * Find and apply unit conversion: the requested target, or the default target
+ * followed by the extra targets for its category
+ * @param {number} value - Numeric value
+ * @param {string} unit - Unit as written in the selection
+ * @param {Object} prefs - Conversion preferences
+ * @param {string|null} requestedTarget - Explicit target label ("10 km in m")
+ * @returns {Array<{original: string, converted: string, value: number}>|null}
+ */
+function applyUnitConversion(value, unit, prefs, requestedTarget = null) {
+  const label = UnitIndex.resolve(unit);
+  if (!label) return null;
+
+  const targets = resolveUnitTargets(value, label, prefs, requestedTarget);
+  const original = `${roundUnitValue(value)} ${label}`;
+  const results = [];
+  for (const target of targets) {
+    const converted = convertUnitValue(value, label, target);
+    // Treat NaN/Infinity (e.g. "0 mpg") as "conversion not available"
+    if (!Number.isFinite(converted)) continue;
+    results.push({
+      original,
+      converted: `${formatNumber(converted, prefs.numberLocale)} ${target}`,
+      value: roundUnitValue(converted),
+    });
   }
-  return null;
+  return results.length > 0 ? results : null;
 }
 
 /**
- * Find and apply unit conversion
+ * Parse "<number> <unit>" or "<unit> <number>" into a numeric value and unit
+ * @returns {{value: number, unit: string}|null}
  */
-function applyUnitConversion(value, unit) {
-  // Find matching unit conversion
-  // Normalize unit: trim, lowercase, remove spaces AND dashes (handles "32-oz")
-  let normUnit = (unit || "").toLowerCase().replace(/[\s-]+/g, "");
+function parseQuantity(text) {
+  const parsed = parseValueAndUnit(text);
+  if (!parsed) return null;
+  const value = parseNumericValue(parsed.value);
+  if (value === null) return null;
+  return { value, unit: parsed.unit };
+}
 
-  if (normUnit === "l/100km") {
-    normUnit = "l/100km";
-  } else if (normUnit === "mpg") {
-    normUnit = "mpg";
+/**
+ * Parse a multi-part quantity such as "5'11\"", "5 ft 11 in" or "6 lb 4 oz"
+ * Each part must be the minor unit of the part before it in COMPOUND_UNITS.
+ * @param {string} text - Selected text
+ * @returns {{value: number, unit: string, original: string}|null} Sum of the
+ *   parts in the unit of the first part
+ */
+function parseCompoundQuantity(text) {
+  let rest = text.trim().replace(REGEX_PATTERNS.trailingPunctuation, "");
+  const parts = [];
+  while (rest) {
+    const match = rest.match(REGEX_PATTERNS.compoundPart);
+    if (!match) return null;
+    const label = COMPOUND_UNIT_MARKS[match[2]] || UnitIndex.resolve(match[2]);
+    if (!label) return null;
+    parts.push({ value: parseFloat(match[1]), label });
+    rest = rest.slice(match[0].length);
   }
+  if (parts.length < 2) return null;
 
-  for (const [key, conversion] of Object.entries(UNIT_CONVERSIONS)) {
-    let normKey = key.toLowerCase().replace(/[\s-]+/g, "");
-    if (normKey === normUnit) {
-      let converted;
-      if (conversion.convert) {
-        converted = conversion.convert(value);
-      } else {
-        converted = value * conversion.factor;
-      }
-      // If rates are missing (e.g., API/cache unavailable), conversions can produce NaN.
-      // Treat that as "conversion not available" instead of rendering "NaN".
-      if (!Number.isFinite(converted)) return null;
-      // Use .test() for boolean check; round to 2 decimal places for currency, 4 for other units
-      const decimals = /[€$£]/.test(key) || CRYPTO_CURRENCIES[key.toUpperCase()] ? 2 : 4;
-      converted =
-        Math.round(converted * Math.pow(10, decimals)) / Math.pow(10, decimals);
-      return {
-        original: `${value} ${key}`,
-        converted: `${converted} ${conversion.to}`,
-        value: converted,
-      };
+  for (let i = 1; i < parts.length; i++) {
+    const isPair = COMPOUND_UNITS.some(
+      ({ major, minor }) =>
+        major === parts[i - 1].label && minor === parts[i].label,
+    );
+    if (!isPair) return null;
+  }
+
+  const unit = parts[0].label;
+  const value = parts.reduce(
+    (sum, part) => sum + convertUnitValue(part.value, part.label, unit),
+    0,
+  );
+  const original = parts.map((part) => `${part.value} ${part.label}`).join(" ");
+  return { value, unit, original };
+}
+
+/**
+ * Parse a compound quantity with an optional target ("5'11\" in cm")
+ * @param {string} text - Selected text
+ * @returns {{value: number, unit: string, original: string, target: string|null}|null}
+ */
+function parseCompoundPhrase(text) {
+  for (const { source, target } of parseConversionPhrase(text)) {
+    const quantity = parseCompoundQuantity(source);
+    const targetUnit = UnitIndex.resolve(target);
+    if (
+      quantity &&
+      targetUnit &&
+      UNIT_DEFINITIONS[quantity.unit].dimension ===
+        UNIT_DEFINITIONS[targetUnit].dimension
+    ) {
+      return { ...quantity, target: targetUnit };
     }
   }
+  const quantity = parseCompoundQuantity(text);
+  return quantity ? { ...quantity, target: null } : null;
+}
 
-  return null;
+/**
+ * Express a metric length or weight as a compound quantity ("180 cm" -> 5'10.9")
+ * @param {number} value - Value in the source unit
+ * @param {string} label - Source unit label
+ * @param {Object} prefs - Conversion preferences
+ * @returns {{original: string, converted: string, value: string}|null}
+ */
+function formatCompoundQuantity(value, label, prefs) {
+  const definition = UNIT_DEFINITIONS[label];
+  if (definition?.system !== "metric") return null;
+
+  const compound = COMPOUND_UNITS.find(
+    ({ major, systems }) =>
+      UNIT_DEFINITIONS[major].dimension === definition.dimension &&
+      (!systems || systems.includes(prefs.unitSystem)) &&
+      (!prefs.unitSystem || isUnitInSystem(major, prefs.unitSystem)),
+  );
+  if (!compound) return null;
+
+  const total = convertUnitValue(value, label, compound.major);
+  if (!(total >= 1 && total < compound.max)) return null;
+
+  let major = Math.floor(total);
+  let minor = roundTo(
+    convertUnitValue(total - major, compound.major, compound.minor),
+    1,
+  );
+  // Carry when the minor part rounds up to a whole major unit (5'12.0")
+  if (convertUnitValue(minor, compound.minor, compound.major) >= 1) {
+    major += 1;
+    minor = 0;
+  }
+  // A whole number of the major unit ("10 lb 0 oz") is already a unit row
+  if (minor === 0) return null;
+  const converted = compound.format(
+    formatNumber(major, prefs.numberLocale, { maximumFractionDigits: 0 }),
+    formatNumber(minor, prefs.numberLocale, { maximumFractionDigits: 1 }),
+  );
+  return { original: `${value} ${label}`, converted, value: converted };
 }
 
-// --- Unit Detection and Conversion ---
-async function detectAndConvertUnit(text) {
-  const startTime = PerformanceValidator.startTimer("conversion");
+/**
+ * Parse a range ("10-15 kg", "-40 °F to -10 °F") or tolerance ("5 ± 0.1 mm")
+ * When both numbers carry a unit, the units must match.
+ * @param {string} text - Selected text
+ * @returns {{kind: string, from: number, to: number, unit: string, separator?: string}|null}
+ *   kind "range" has both ends in from/to and the separator as written (" to "
+ *   or "–" for any dash); kind "tolerance" has the value in from and the
+ *   deviation in to
+ */
+function parseRangeQuantity(text) {
+  const trimmed = text.trim();
+  const rangeMatch = trimmed.match(REGEX_PATTERNS.range);
+  const match = rangeMatch || trimmed.match(REGEX_PATTERNS.tolerance);
+  if (!match) return null;
+
+  const unit = UnitIndex.resolve(match[4]);
+  if (!unit || (match[2] && UnitIndex.resolve(match[2]) !== unit)) return null;
+  const from = parseNumericValue(match[1].replace("−", "-"));
+  const to = parseNumericValue(match[3].replace("−", "-"));
+  if (from === null || to === null) return null;
+  if (!rangeMatch) return { kind: "tolerance", from, to, unit };
+  const separator = /\sto\s/i.test(trimmed) ? " to " : "–";
+  return { kind: "range", from, to, unit, separator };
+}
 
-  // First, check for crypto
-  const cryptoResult = await handleCryptoConversion(text);
-  if (cryptoResult) {
-    PerformanceValidator.endTimer("conversion", startTime);
-    return cryptoResult;
+/**
+ * Parse a range or tolerance with an optional target ("10-15 kg in lb")
+ * @param {string} text - Selected text
+ * @returns {Object|null} parseRangeQuantity result plus target label or null
+ */
+function parseRangePhrase(text) {
+  for (const { source, target } of parseConversionPhrase(text)) {
+    const range = parseRangeQuantity(source);
+    const targetUnit = UnitIndex.resolve(target);
+    if (
+      range &&
+      targetUnit &&
+      UNIT_DEFINITIONS[range.unit].dimension ===
+        UNIT_DEFINITIONS[targetUnit].dimension
+    ) {
+      return { ...range, target: targetUnit };
+    }
   }
+  const range = parseRangeQuantity(text);
+  return range ? { ...range, target: null } : null;
+}
+
+/**
+ * Decimals that keep two significant digits of a range's width or a tolerance
+ * @param {number} span - Width of the range or size of the tolerance
+ */
+function rangeDecimals(span) {
+  const decimals = Math.ceil(-Math.log10(Math.abs(span))) + 2;
+  return Number.isFinite(decimals) ? Math.min(Math.max(decimals, 0), 6) : 1;
+}
 
-  // Time Zone Conversion
-  const tzResult = convertTimeZone(text);
-  if (tzResult) {
-    PerformanceValidator.endTimer("conversion", startTime);
-    return tzResult;
+/**
+ * Format both ends of a range; " to " avoids "-40–-10" when an end is negative
+ * Without decimals the ends are rounded like single values. With decimals both
+ * ends show as many as the more precise one needs ("68–77 °F", "22.0–33.1 lb").
+ */
+function formatRange(
+  from,
+  to,
+  unit,
+  separator = "–",
+  decimals = null,
+  locale = "",
+) {
+  let options;
+  if (decimals !== null) {
+    const places = (end) =>
+      (String(Number(end.toFixed(decimals))).split(".")[1] || "").length;
+    const shared = Math.max(places(from), places(to));
+    options = { minimumFractionDigits: shared, maximumFractionDigits: shared };
   }
+  const format = (end) => formatNumber(end, locale, options);
+  const between = from < 0 || to < 0 ? " to " : separator;
+  return `${format(from)}${between}${format(to)} ${unit}`;
+}
 
-  // Handle currency loading
-  handleCurrencyLoading(text);
+/**
+ * Convert both ends of a range, or a value and its tolerance, together
+ * @param {Object} range - parseRangePhrase result
+ * @param {Object} prefs - Conversion preferences
+ * @returns {Array<{original: string, converted: string, value: string}>|null}
+ */
+function applyRangeConversion(range, prefs) {
+  const { kind, from, to, unit, separator } = range;
+  // The end with the larger magnitude picks the targets, as for single values
+  const reference =
+    kind === "range" && Math.abs(from) > Math.abs(to) ? from : to;
+  const targets = resolveUnitTargets(
+    kind === "range" ? reference : from,
+    unit,
+    prefs,
+    range.target,
+  );
 
-  // Parse value and unit
-  const parsed = parseValueAndUnit(text);
-  if (!parsed) {
-    PerformanceValidator.endTimer("conversion", startTime);
-    return null;
+  const original =
+    kind === "range"
+      ? formatRange(from, to, unit, separator, null, prefs.numberLocale)
+      : `${roundUnitValue(from)} ± ${roundUnitValue(to)} ${unit}`;
+  const results = [];
+  for (const target of targets) {
+    const first = convertUnitValue(from, unit, target);
+    let converted;
+    if (kind === "range") {
+      const second = convertUnitValue(to, unit, target);
+      if (!Number.isFinite(first) || !Number.isFinite(second)) continue;
+      converted = formatRange(
+        first,
+        second,
+        target,
+        separator,
+        rangeDecimals(second - first),
+        prefs.numberLocale,
+      );
+    } else {
+      // A deviation scales with the unit but ignores offsets (2 °C is 3.6 °F)
+      const deviation = Math.abs(
+        convertUnitValue(to, unit, target) - convertUnitValue(0, unit, target),
+      );
+      if (!Number.isFinite(first) || !Number.isFinite(deviation)) continue;
+      const decimals = rangeDecimals(deviation);
+      const format = (number) =>
+        formatNumber(number, prefs.numberLocale, {
+          minimumFractionDigits: decimals,
+          maximumFractionDigits: decimals,
+        });
+      converted = `${format(first)} ± ${format(deviation)} ${target}`;
+    }
+    results.push({ original, converted, value: converted });
   }
+  return results.length > 0 ? results : null;
+}
 
-  const { value: valueStr, unit } = parsed;
+/**
+ * Lookup from ingredient spellings to INGREDIENT_DENSITIES names, longest
+ * spelling first so "brown sugar" wins over "sugar"
+ * @type {Array<[string, string]>}
+ */
+const INGREDIENT_SPELLINGS = Object.entries(INGREDIENT_DENSITIES)
+  .flatMap(([name, { aliases = [] }]) =>
+    [name, ...aliases].map((spelling) => [spelling, name]),
+  )
+  .sort(([a], [b]) => b.length - a.length);
 
-  // Parse numeric value
-  const value = parseNumericValue(valueStr);
-  if (value === null) {
-    PerformanceValidator.endTimer("conversion", startTime);
+/**
+ * Parse a volume or weight followed by an ingredient ("2 cups of flour")
+ * @param {string} text - Selected text
+ * @returns {{value: number, unit: string, ingredient: string}|null} Unit label
+ *   and INGREDIENT_DENSITIES name
+ */
+function parseIngredientQuantity(text) {
+  const lowered = text
+    .trim()
+    .replace(REGEX_PATTERNS.trailingPunctuation, "")
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+  for (const [spelling, ingredient] of INGREDIENT_SPELLINGS) {
+    if (!lowered.endsWith(` ${spelling}`)) continue;
+    const amount = text
+      .trim()
+      .slice(0, lowered.length - spelling.length)
+      .replace(/\s+of\s*$/i, "");
+    const quantity = parseQuantity(amount);
+    const unit = quantity && UnitIndex.resolve(quantity.unit);
+    const dimension = unit && UNIT_DEFINITIONS[unit].dimension;
+    if (dimension === "volume" || dimension === "mass") {
+      return { value: quantity.value, unit, ingredient };
+    }
     return null;
   }
+  return null;
+}
+
+/**
+ * Convert an ingredient quantity: the usual unit results plus the weight of a
+ * volume, or the cups/tbsp/tsp of a weight
+ * @param {Object} quantity - parseIngredientQuantity result
+ * @param {Object} prefs - Conversion preferences
+ * @returns {Array<{original: string, converted: string, value: number}>|null}
+ */
+function applyIngredientConversion({ value, unit, ingredient }, prefs) {
+  const gramsPerMl =
+    INGREDIENT_DENSITIES[ingredient].gramsPerCup /
+    convertUnitValue(1, "cup", "ml");
+  const original = `${roundUnitValue(value)} ${unit} ${ingredient}`;
+  const results = (applyUnitConversion(value, unit, prefs) || []).map(
+    (result) => ({ ...result, original }),
+  );
 
-  // Handle temperature conversion
-  const tempResult = handleTemperatureConversion(text, value);
-  if (tempResult) {
-    PerformanceValidator.endTimer("conversion", startTime);
-    return tempResult;
+  // The ingredient row goes right after the main unit result
+  let row;
+  if (UNIT_DEFINITIONS[unit].dimension === "volume") {
+    const grams = convertUnitValue(value, unit, "ml") * gramsPerMl;
+    const target =
+      prefs.unitSystem === "us" || prefs.unitSystem === "uk" ? "oz" : "g";
+    const converted = roundTo(convertUnitValue(grams, "g", target), 1);
+    const formatted = formatNumber(converted, prefs.numberLocale, {
+      maximumFractionDigits: 1,
+    });
+    row = { original, converted: `${formatted} ${target}`, value: converted };
+  } else {
+    const ml = convertUnitValue(value, unit, "g") / gramsPerMl;
+    const target = pickLadderTarget(ml, "ml", ["tsp", "tbsp", "cup"]);
+    const converted = roundTo(convertUnitValue(ml, "ml", target), 2);
+    const formatted = formatNumber(converted, prefs.numberLocale, {
+      maximumFractionDigits: 2,
+    });
+    row = { original, converted: `${formatted} ${target}`, value: converted };
   }
+  results.splice(1, 0, row);
+  return results;
+}
+
+// --- Built-in Converters ---
+ConverterRegistry.register({
+  name: "crypto",
+  priority: 100,
+  match: (text) => parseCryptoAmount(text),
+  convert: (cryptoAmount, prefs) => handleCryptoConversion(cryptoAmount, prefs),
+});
+
+ConverterRegistry.register({
+  name: "fiat-to-crypto",
+  priority: 95,
+  match: (text) => parseFiatToCrypto(text),
+  convert: (fiatToCrypto, prefs) =>
+    handleFiatToCryptoConversion(fiatToCrypto, prefs),
+});
+
+ConverterRegistry.register({
+  name: "time-zone",
+  priority: 90,
+  match: (text) => {
+    const parsed = parseTimeZoneText(text);
+    return parsed ? { text, parsed } : null;
+  },
+  convert: ({ text, parsed }, prefs) => [
+    convertParsedTime(text, parsed, prefs.userTimeZone),
+    ...convertTeamTimes(text, parsed, prefs.teamTimeZones, prefs.workingHours),
+  ],
+});
+
+ConverterRegistry.register({
+  name: "date",
+  priority: 85,
+  match: (text) => {
+    const parsed = parseCalendarDate(text);
+    return parsed ? { text, parsed } : null;
+  },
+  convert: ({ text, parsed }, prefs) =>
+    convertCalendarDate(text, parsed, prefs),
+});
+
+ConverterRegistry.register({
+  name: "temperature",
+  priority: 80,
+  match: (text) =>
+    REGEX_PATTERNS.temperatureUnit.test(text.trim()) ? text : null,
+  convert: (text, prefs) => handleTemperatureConversion(text, prefs),
+});
+
+ConverterRegistry.register({
+  name: "currency",
+  priority: 70,
+  match: (text) => {
+    const phrase = parseCurrencyPhrase(text);
+    if (phrase) return { text, ...phrase };
+    const quantity = parseQuantity(text);
+    if (!quantity) return null;
+    const code = resolveCurrencyCode(quantity.unit);
+    return code ? { text, value: quantity.value, code, target: null } : null;
+  },
+  convert: ({ text, value, code, target }, prefs) => {
+    handleCurrencyLoading(text);
+    return applyCurrencyConversion(value, code, prefs, target);
+  },
+});
+
+ConverterRegistry.register({
+  name: "unit",
+  priority: 60,
+  match: (text) => {
+    const phrase = parseUnitPhrase(text);
+    if (phrase) return phrase;
+    // "68 degrees" with no target is a temperature; "90 degrees in rad" is an angle
+    if (REGEX_PATTERNS.temperatureUnit.test(text.trim())) return null;
+    const quantity = parseQuantity(text);
+    if (!quantity || !UnitIndex.resolve(quantity.unit)) return null;
+    return { ...quantity, target: null };
+  },
+  convert: ({ value, unit, target }, prefs) =>
+    applyUnitConversion(value, unit, prefs, target),
+});
+
+ConverterRegistry.register({
+  name: "compound-quantity",
+  priority: 65,
+  match: (text) => parseCompoundPhrase(text),
+  convert: ({ value, unit, original, target }, prefs) => {
+    const results = applyUnitConversion(value, unit, prefs, target);
+    return results && results.map((result) => ({ ...result, original }));
+  },
+});
+
+ConverterRegistry.register({
+  name: "ingredient",
+  priority: 61,
+  match: (text) => parseIngredientQuantity(text),
+  convert: (quantity, prefs) => applyIngredientConversion(quantity, prefs),
+});
+
+ConverterRegistry.register({
+  name: "range",
+  priority: 62,
+  match: (text) => parseRangePhrase(text),
+  convert: (range, prefs) => applyRangeConversion(range, prefs),
+});
+
+ConverterRegistry.register({
+  name: "compound-result",
+  priority: 55,
+  match: (text) => {
+    const quantity = parseQuantity(text);
+    const label = quantity && UnitIndex.resolve(quantity.unit);
+    return label ? { value: quantity.value, label } : null;
+  },
+  convert: ({ value, label }, prefs) => {
+    const result = formatCompoundQuantity(value, label, prefs);
+    return result ? [result] : null;
+  },
+});
 
-  // Apply unit conversion
-  const result = applyUnitConversion(value, unit);
+// --- Unit Detection and Conversion ---
+/**
+ * Run all converters on the selection
+ * @param {string} text - Selected text
+ * @returns {Promise<Array<{original: string, converted: string, value: *, converter: string}>>}
+ *   Results in converter priority order (empty when nothing matched)
+ */
+async function detectAndConvertUnit(text) {
+  const startTime = PerformanceValidator.startTimer("conversion");
+  numberFormat = detectNumberFormat(text);
+  const results = await ConverterRegistry.convertAll(
+    normalizeFractions(normalizeCjkNumbers(normalizeWideCharacters(text))),
+    getConversionPrefs(),
+  );
   PerformanceValidator.endTimer("conversion", startTime);
-  return result;
+  return results;
 }
 
 // --- Create shadow host and attach shadow root ---
@@ -2344,6 +4703,28 @@ const CSSOptimizer = {
       "#text-selection-popup-extension.dark-mode .conversion-result:hover {",
       "    background: #6a6a6a;",
       "}",
+      "",
+      ".number-format-note,",
+      ".calendar-action {",
+      "    padding: 2px 8px;",
+      "    font-size: 12px;",
+      "    opacity: 0.75;",
+      "    display: flex;",
+      "    justify-content: space-between;",
+      "    align-items: center;",
+      "}",
+      "",
+      ".number-format-toggle,",
+      ".add-to-calendar {",
+      "    padding: 0;",
+      "    margin-left: 8px;",
+      "    font-size: 12px;",
+      "    background: none;",
+      "    color: inherit;",
+      "    border: none;",
+      "    text-decoration: underline;",
+      "    cursor: pointer;",
+      "}",
     ];
 
     return cssRules.join("\n");
@@ -2405,21 +4786,6 @@ const DOMOptimizer = {
     conversionContainer.setAttribute("aria-live", "polite");
     conversionContainer.style.display = "none";
 
-    const conversionResult = document.createElement("div");
-    conversionResult.className = "conversion-result";
-
-    const convertedValueSpan = document.createElement("span");
-    convertedValueSpan.className = "converted-value";
-
-    const copyButton = document.createElement("button");
-    copyButton.className = "copy-button";
-    copyButton.textContent = "Copy";
-
-    // Batch append conversion elements
-    conversionResult.appendChild(convertedValueSpan);
-    conversionResult.appendChild(copyButton);
-    conversionContainer.appendChild(conversionResult);
-
     // Button container
     const buttonContainer = document.createElement("div");
 
@@ -2450,15 +4816,102 @@ const DOMOptimizer = {
     return {
       errorContainer,
       conversionContainer,
-      conversionResult,
-      convertedValueSpan,
-      copyButton,
       buttonContainer,
       searchButton,
       copyButton2,
     };
   },
 
+  /**
+   * Create one conversion row: the converted value and its own Copy button
+   * @param {Object} result - Conversion result
+   * @param {number} index - Position in convertedValues, used by the copy handler
+   * @returns {HTMLElement} - Row element
+   */
+  createConversionRow(result, index) {
+    const conversionResult = document.createElement("div");
+    conversionResult.className = "conversion-result";
+
+    const convertedValueSpan = document.createElement("span");
+    convertedValueSpan.className = "converted-value";
+    convertedValueSpan.textContent = result.converted;
+
+    const copyButton = document.createElement("button");
+    copyButton.className = "copy-button";
+    copyButton.textContent = "Copy";
+    copyButton.dataset.index = String(index);
+    copyButton.setAttribute("aria-label", `Copy ${result.converted}`);
+
+    conversionResult.appendChild(convertedValueSpan);
+    conversionResult.appendChild(copyButton);
+    return conversionResult;
+  },
+
+  /**
+   * Create the note saying which decimal separator was assumed, with a
+   * button that swaps it
+   * @param {{decimal: string, source: string}} format - See detectNumberFormat
+   * @returns {HTMLElement} - Note element
+   */
+  createNumberFormatNote(format) {
+    const names = { ".": "point", ",": "comma" };
+    const sources = {
+      user: "your choice",
+      selection: "other numbers",
+      lang: "page language",
+      domain: "site domain",
+      default: "default",
+    };
+
+    const note = document.createElement("div");
+    note.className = "number-format-note";
+
+    const label = document.createElement("span");
+    label.textContent = `Decimal ${names[format.decimal]} (${sources[format.source]})`;
+
+    const toggle = document.createElement("button");
+    toggle.className = "number-format-toggle";
+    toggle.textContent = `Use ${format.decimal === "," ? "point" : "comma"}`;
+
+    note.appendChild(label);
+    note.appendChild(toggle);
+    return note;
+  },
+
+  /**
+   * Create the "Add to calendar" action shown below detected times
+   * @returns {HTMLElement} - Action element
+   */
+  createCalendarAction() {
+    const action = document.createElement("div");
+    action.className = "calendar-action";
+
+    const button = document.createElement("button");
+    button.className = "add-to-calendar";
+    button.textContent = "Add to calendar (.ics)";
+
+    action.appendChild(button);
+    return action;
+  },
+
+  /**
+   * Replace the conversion rows in a single batch
+   * @param {HTMLElement} container - Conversion container
+   * @param {Object[]} results - Conversion results
+   * @param {Object} [format] - Number format to note below the rows, if any
+   */
+  renderConversionRows(container, results, format = null) {
+    const fragment = document.createDocumentFragment();
+    results.forEach((result, index) => {
+      fragment.appendChild(this.createConversionRow(result, index));
+    });
+    if (format) fragment.appendChild(this.createNumberFormatNote(format));
+    if (results.some((result) => result.event)) {
+      fragment.appendChild(this.createCalendarAction());
+    }
+    container.replaceChildren(fragment);
+  },
+
   /**
    * Optimized style application to minimize reflows
    * @param {HTMLElement} element - Element to style
@@ -2766,15 +5219,73 @@ function handleCopyClick() {
 }
 
 /**
- * Handle copy converted button click - copies converted value
+ * Handle copy converted button click - copies the converted value of that row
  */
 function handleCopyConvertedClick(e) {
+  const copyButton = e.target.closest(".copy-button");
+  if (!copyButton) return;
   e.stopPropagation();
-  if (convertedValue) {
-    handleClipboardFallback(convertedValue.converted);
+  const result = convertedValues[Number(copyButton.dataset.index)];
+  if (result) {
+    // Results without a single number (ranges, times) always copy as shown
+    const raw = copyFormat === "raw" && typeof result.value === "number";
+    handleClipboardFallback(raw ? String(result.value) : result.converted);
   }
 }
 
+/**
+ * Handle the decimal separator toggle - converts the selection again with
+ * the other separator
+ */
+async function handleNumberFormatToggleClick(e) {
+  if (!e.target.closest(".number-format-toggle")) return;
+  e.stopPropagation();
+  numberFormatOverride = {
+    text: currentSelectedText,
+    decimal: numberFormat.decimal === "," ? "." : ",",
+  };
+  convertedValues = await detectAndConvertUnit(currentSelectedText);
+  updatePopupContent();
+}
+
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} fileName
+ * @param {string} text
+ * @param {string} type - MIME type
+ */
+function downloadTextFile(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Handle "Add to calendar" - downloads the detected time as an .ics event
+ * named after the page
+ */
+function handleAddToCalendarClick(e) {
+  if (!e.target.closest(".add-to-calendar")) return;
+  e.stopPropagation();
+  const result = convertedValues.find((r) => r.event);
+  if (!result) return;
+  const title = document.title.trim() || result.original;
+  const ics = buildIcsEvent(result.event, {
+    title,
+    url: location.href,
+    description: result.original,
+  });
+  const fileName =
+    title
+      .replace(/[\\/:*?"<>|]+/g, "")
+      .trim()
+      .slice(0, 60) || "event";
+  downloadTextFile(`${fileName}.ics`, ics, "text/calendar");
+}
+
 /**
  * Initialize search button event listener
  */
@@ -2795,10 +5306,32 @@ function initCopyButton(copyButton) {
 
 /**
  * Initialize copy converted button event listener
+ * Delegated on the container because rows are re-rendered per selection
+ */
+function initCopyConvertedButton(conversionContainer) {
+  if (conversionContainer) {
+    conversionContainer.addEventListener("click", handleCopyConvertedClick);
+  }
+}
+
+/**
+ * Initialize decimal separator toggle event listener
+ */
+function initNumberFormatToggle(conversionContainer) {
+  if (conversionContainer) {
+    conversionContainer.addEventListener(
+      "click",
+      handleNumberFormatToggleClick,
+    );
+  }
+}
+
+/**
+ * Initialize "Add to calendar" event listener
  */
-function initCopyConvertedButton(copyConvertedButton) {
-  if (copyConvertedButton) {
-    copyConvertedButton.addEventListener("click", handleCopyConvertedClick);
+function initCalendarButton(conversionContainer) {
+  if (conversionContainer) {
+    conversionContainer.addEventListener("click", handleAddToCalendarClick);
   }
 }
 
@@ -2807,12 +5340,14 @@ function initPopupButtons() {
   // Use cached DOM elements for better performance
   const searchButton = DOMCache.get("searchButton");
   const copyButton = DOMCache.get("copyButton");
-  const copyConvertedButton = DOMCache.get("copyConvertedButton");
+  const conversionContainer = DOMCache.get("conversionContainer");
 
   // Initialize each button separately for single responsibility
   initSearchButton(searchButton);
   initCopyButton(copyButton);
-  initCopyConvertedButton(copyConvertedButton);
+  initCopyConvertedButton(conversionContainer);
+  initNumberFormatToggle(conversionContainer);
+  initCalendarButton(conversionContainer);
 }
 
 // --- Popup Content Management ---
@@ -2822,18 +5357,24 @@ function initPopupButtons() {
 function updatePopupContent() {
   const errorContainer = DOMCache.get("errorContainer");
   const conversionContainer = DOMCache.get("conversionContainer");
-  const convertedValueSpan = DOMCache.get("convertedValueSpan");
 
   // Check for unit conversion
-  if (convertedValue) {
+  if (convertedValues.length > 0) {
     if (errorContainer) errorContainer.style.display = "none";
-    if (conversionContainer) conversionContainer.style.display = "block";
-    if (convertedValueSpan)
-      convertedValueSpan.textContent = convertedValue.converted;
+    if (conversionContainer) {
+      // Only mention the separator when the other reading gives another number
+      DOMOptimizer.renderConversionRows(
+        conversionContainer,
+        convertedValues,
+        numberFormat.ambiguous ? numberFormat : null,
+      );
+      conversionContainer.style.display = "block";
+    }
   } else {
     // Only show error if selection looks like a currency/crypto value
-    const upperCaseText = currentSelectedText.toUpperCase();
-    const isCrypto = CRYPTO_CURRENCIES[upperCaseText];
+    const isCrypto =
+      parseCryptoAmount(currentSelectedText) ||
+      parseFiatToCrypto(currentSelectedText);
     const currencyRegex = /[€$£¥₺₽₹₩₪₱฿₣₦₲₵₡₫₭₮₯₠₢₳₴₸₼₾₿]|[A-Z]{3}/;
     if (
       (isCrypto && cryptoRatesError) ||
@@ -2939,7 +5480,7 @@ async function showAndPositionPopup(rect, selectionContextElement) {
   });
 
   // Update popup content
-  convertedValue = await detectAndConvertUnit(currentSelectedText);
+  convertedValues = await detectAndConvertUnit(currentSelectedText);
   updatePopupContent();
   updateButtonText();
 
@@ -48,6 +48,62 @@ const currencies = [
   "BGN",
 ];
 
+// Target units offered per category (labels match UNIT_DEFINITIONS in units.js)
+const unitCategories = [
+  { dimension: "mass", label: "Weight", units: ["kg", "g", "lb", "oz", "st"] },
+  { dimension: "temperature", label: "Temperature", units: ["°C", "°F", "K"] },
+  {
+    dimension: "volume",
+    label: "Volume",
+    units: [
+      "ml",
+      "l",
+      "fl oz",
+      "cup",
+      "gal",
+      "imp fl oz",
+      "imp pint",
+      "imp gal",
+    ],
+  },
+  {
+    dimension: "length",
+    label: "Distance",
+    units: ["mm", "cm", "m", "km", "in", "ft", "yd", "mi"],
+  },
+  {
+    dimension: "area",
+    label: "Area",
+    units: ["m²", "ha", "km²", "sq ft", "acre", "sq mi"],
+  },
+  { dimension: "speed", label: "Speed", units: ["km/h", "m/s", "mph", "kn"] },
+  {
+    dimension: "fuelEconomy",
+    label: "Fuel Economy",
+    units: ["l/100km", "mpg", "UK mpg"],
+  },
+  {
+    dimension: "dataSize",
+    label: "Data Size",
+    units: ["MB", "GB", "TB", "MiB", "GiB", "TiB"],
+  },
+  {
+    dimension: "dataRate",
+    label: "Data Rate",
+    units: ["Mbps", "Gbps", "MB/s", "MiB/s"],
+  },
+  { dimension: "power", label: "Power", units: ["kW", "W", "hp", "PS"] },
+  { dimension: "torque", label: "Torque", units: ["Nm", "lb ft", "kgf m"] },
+  {
+    dimension: "pressure",
+    label: "Pressure",
+    units: ["kPa", "bar", "psi", "atm", "mmHg"],
+  },
+  { dimension: "energy", label: "Energy", units: ["kJ", "kcal", "kWh", "BTU"] },
+  { dimension: "angle", label: "Angle", units: ["deg", "rad"] },
+  { dimension: "frequency", label: "Frequency", units: ["Hz", "rpm"] },
+];
+
 // settings.js - for future settings logic
 
 document.addEventListener("DOMContentLoaded", () => {
@@ -56,6 +112,37 @@ document.addEventListener("DOMContentLoaded", () => {
     "crypto-currency-select",
   );
   const searchEngineSelect = document.getElementById("search-engine-select");
+  const extraTargetsSelect = document.getElementById("extra-targets-select");
+  const unitSystemSelect = document.getElementById("unit-system-select");
+  const unitTargetsContainer = document.getElementById("unit-targets");
+  const numberLocaleSelect = document.getElementById("number-locale-select");
+  const copyFormatSelect = document.getElementById("copy-format-select");
+  const indianNumberingSelect = document.getElementById(
+    "indian-numbering-select",
+  );
+  const ambiguousZoneSelects = document.querySelectorAll("select[data-abbr]");
+  const customUnitList = document.getElementById("custom-unit-list");
+  const customUnitMessages = document.getElementById("custom-unit-messages");
+  const addCustomUnitButton = document.getElementById("add-custom-unit");
+  const customUnitInputs = {
+    name: document.getElementById("custom-unit-name"),
+    aliases: document.getElementById("custom-unit-aliases"),
+    to: document.getElementById("custom-unit-target"),
+    factor: document.getElementById("custom-unit-factor"),
+    offset: document.getElementById("custom-unit-offset"),
+  };
+  const teamZoneList = document.getElementById("team-zone-list");
+  const teamZoneMessages = document.getElementById("team-zone-messages");
+  const teamZoneNames = document.getElementById("time-zone-names");
+  const addTeamZoneButton = document.getElementById("add-team-zone");
+  const teamZoneInputs = {
+    name: document.getElementById("team-zone-name"),
+    timeZone: document.getElementById("team-zone-zone"),
+  };
+  const workingHoursInputs = {
+    start: document.getElementById("working-hours-start"),
+    end: document.getElementById("working-hours-end"),
+  };
   const saveButton = document.getElementById("save-settings");
   const reloadMessage = document.querySelector(".reload-message");
   const versionValue = document.getElementById("version-value");
@@ -70,9 +157,193 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // Create one target-unit dropdown per category ("Automatic" follows the unit system)
+  function createUnitTargetDropdowns(container) {
+    const selects = {};
+    unitCategories.forEach(({ dimension, label, units }) => {
+      const labelElement = document.createElement("label");
+      labelElement.htmlFor = `unit-target-${dimension}`;
+      labelElement.textContent = `${label} Target Unit:`;
+
+      const select = document.createElement("select");
+      select.id = `unit-target-${dimension}`;
+      ["", ...units].forEach((unit) => {
+        const option = document.createElement("option");
+        option.value = unit;
+        option.textContent = unit || "Automatic";
+        select.appendChild(option);
+      });
+
+      container.appendChild(labelElement);
+      container.appendChild(select);
+      selects[dimension] = select;
+    });
+    return selects;
+  }
+
+  // Custom unit rules, saved together with the other settings
+  let customUnits = [];
+
+  // Show validation errors and warnings below the custom unit form
+  function showCustomUnitMessages(errors, warnings) {
+    customUnitMessages.replaceChildren();
+    errors.forEach((text) => appendCustomUnitMessage(text, "error"));
+    warnings.forEach((text) => appendCustomUnitMessage(text, "warning"));
+  }
+
+  function appendCustomUnitMessage(text, className) {
+    const message = document.createElement("p");
+    message.className = className;
+    message.textContent = text;
+    customUnitMessages.appendChild(message);
+  }
+
+  // List the custom unit rules, each with a Remove button
+  function renderCustomUnits() {
+    customUnitList.replaceChildren();
+    customUnits.forEach((rule, index) => {
+      const item = document.createElement("li");
+      const description = document.createElement("span");
+      const offset = rule.offset ? ` + ${rule.offset}` : "";
+      const aliases =
+        rule.aliases.length > 0 ? ` (also ${rule.aliases.join(", ")})` : "";
+      description.textContent = `1 ${rule.name} = ${rule.factor}${offset} ${rule.to}${aliases}`;
+
+      const removeButton = document.createElement("button");
+      removeButton.className = "btn btn-small";
+      removeButton.textContent = "Remove";
+      removeButton.addEventListener("click", () => {
+        customUnits.splice(index, 1);
+        renderCustomUnits();
+        showCustomUnitMessages([], []);
+      });
+
+      item.appendChild(description);
+      item.appendChild(removeButton);
+      customUnitList.appendChild(item);
+    });
+  }
+
+  // Read the custom unit form into a rule
+  function readCustomUnitForm() {
+    const offsetText = customUnitInputs.offset.value.trim();
+    return {
+      name: customUnitInputs.name.value.trim(),
+      aliases: customUnitInputs.aliases.value
+        .split(",")
+        .map((alias) => alias.trim())
+        .filter(Boolean),
+      to: customUnitInputs.to.value.trim(),
+      factor: parseFloat(customUnitInputs.factor.value),
+      offset: offsetText ? parseFloat(offsetText) : 0,
+    };
+  }
+
+  if (addCustomUnitButton) {
+    addCustomUnitButton.addEventListener("click", () => {
+      const rule = readCustomUnitForm();
+      const { errors, warnings } = validateCustomUnit(rule, customUnits);
+      if (errors.length > 0) {
+        showCustomUnitMessages(errors, warnings);
+        return;
+      }
+      customUnits.push(rule);
+      renderCustomUnits();
+      Object.values(customUnitInputs).forEach((input) => {
+        input.value = "";
+      });
+      showCustomUnitMessages(
+        [],
+        [...warnings, "Click Save Settings to apply the new unit."],
+      );
+    });
+  }
+
+  // Team time zones, saved together with the other settings
+  let teamTimeZones = [];
+
+  function showTeamZoneMessage(text, className) {
+    teamZoneMessages.replaceChildren();
+    if (!text) return;
+    const message = document.createElement("p");
+    message.className = className;
+    message.textContent = text;
+    teamZoneMessages.appendChild(message);
+  }
+
+  // List the team time zones, each with a Remove button
+  function renderTeamTimeZones() {
+    teamZoneList.replaceChildren();
+    teamTimeZones.forEach((member, index) => {
+      const item = document.createElement("li");
+      const description = document.createElement("span");
+      description.textContent = `${member.name} — ${member.timeZone}`;
+
+      const removeButton = document.createElement("button");
+      removeButton.className = "btn btn-small";
+      removeButton.textContent = "Remove";
+      removeButton.addEventListener("click", () => {
+        teamTimeZones.splice(index, 1);
+        renderTeamTimeZones();
+        showTeamZoneMessage("");
+      });
+
+      item.appendChild(description);
+      item.appendChild(removeButton);
+      teamZoneList.appendChild(item);
+    });
+  }
+
+  if (teamZoneNames && Intl.supportedValuesOf) {
+    for (const zone of Intl.supportedValuesOf("timeZone")) {
+      const option = document.createElement("option");
+      option.value = zone;
+      teamZoneNames.appendChild(option);
+    }
+  }
+
+  if (addTeamZoneButton) {
+    addTeamZoneButton.addEventListener("click", () => {
+      const name = teamZoneInputs.name.value.trim();
+      let timeZone = teamZoneInputs.timeZone.value.trim();
+      try {
+        const canonical = new Intl.DateTimeFormat("en-US", {
+          timeZone,
+        }).resolvedOptions().timeZone;
+        // Fix the case ("europe/sofia") but keep current names like
+        // Asia/Kolkata that Intl reports under an older alias
+        if (canonical.toLowerCase() === timeZone.toLowerCase()) {
+          timeZone = canonical;
+        }
+      } catch {
+        showTeamZoneMessage(
+          "Enter a time zone such as America/New_York.",
+          "error",
+        );
+        return;
+      }
+      if (!name) {
+        showTeamZoneMessage("Enter a name for the time zone.", "error");
+        return;
+      }
+      teamTimeZones.push({ name, timeZone });
+      renderTeamTimeZones();
+      Object.values(teamZoneInputs).forEach((input) => {
+        input.value = "";
+      });
+      showTeamZoneMessage(
+        "Click Save Settings to apply the new time zone.",
+        "warning",
+      );
+    });
+  }
+
   // Populate the currency and crypto-currency dropdowns
   populateCurrencyDropdown(currencySelect, currencies);
   populateCurrencyDropdown(cryptoCurrencySelect, currencies);
+  const unitTargetSelects = unitTargetsContainer
+    ? createUnitTargetDropdowns(unitTargetsContainer)
+    : {};
 
   // Set version from manifest
   if (
@@ -92,7 +363,21 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // Load saved currency preferences and search engine
   chrome.storage.sync.get(
-    ["preferredCurrency", "preferredCryptoCurrency", "preferredSearchEngine"],
+    [
+      "preferredCurrency",
+      "preferredCryptoCurrency",
+      "preferredSearchEngine",
+      "extraConversionTargets",
+      "unitSystem",
+      "unitTargets",
+      "customUnits",
+      "numberLocale",
+      "copyFormat",
+      "indianNumbering",
+      "ambiguousTimeZones",
+      "teamTimeZones",
+      "workingHours",
+    ],
     (result) => {
       if (result.preferredCurrency) {
         currencySelect.value = result.preferredCurrency;
@@ -103,6 +388,48 @@ document.addEventListener("DOMContentLoaded", () => {
       if (searchEngineSelect && result.preferredSearchEngine) {
         searchEngineSelect.value = result.preferredSearchEngine;
       }
+      if (
+        extraTargetsSelect &&
+        Number.isInteger(result.extraConversionTargets)
+      ) {
+        extraTargetsSelect.value = String(result.extraConversionTargets);
+      }
+      if (unitSystemSelect && typeof result.unitSystem === "string") {
+        unitSystemSelect.value = result.unitSystem;
+      }
+      if (result.unitTargets) {
+        for (const [dimension, unit] of Object.entries(result.unitTargets)) {
+          if (unitTargetSelects[dimension]) {
+            unitTargetSelects[dimension].value = unit;
+          }
+        }
+      }
+      if (numberLocaleSelect && typeof result.numberLocale === "string") {
+        numberLocaleSelect.value = result.numberLocale;
+      }
+      if (copyFormatSelect && result.copyFormat) {
+        copyFormatSelect.value = result.copyFormat;
+      }
+      if (indianNumberingSelect) {
+        indianNumberingSelect.value = String(result.indianNumbering === true);
+      }
+      if (result.ambiguousTimeZones) {
+        for (const select of ambiguousZoneSelects) {
+          select.value = result.ambiguousTimeZones[select.dataset.abbr] || "";
+        }
+      }
+      if (teamZoneList && Array.isArray(result.teamTimeZones)) {
+        teamTimeZones = result.teamTimeZones;
+        renderTeamTimeZones();
+      }
+      if (workingHoursInputs.start && result.workingHours) {
+        workingHoursInputs.start.value = result.workingHours.start;
+        workingHoursInputs.end.value = result.workingHours.end;
+      }
+      if (customUnitList && Array.isArray(result.customUnits)) {
+        customUnits = result.customUnits;
+        renderCustomUnits();
+      }
     },
   );
 
@@ -115,11 +442,50 @@ document.addEventListener("DOMContentLoaded", () => {
     const selectedSearchEngine = searchEngineSelect
       ? searchEngineSelect.value
       : "google";
+    const selectedExtraTargets = extraTargetsSelect
+      ? parseInt(extraTargetsSelect.value, 10)
+      : 2;
+    const selectedUnitSystem = unitSystemSelect ? unitSystemSelect.value : "";
+    const selectedNumberLocale = numberLocaleSelect
+      ? numberLocaleSelect.value
+      : "";
+    const selectedCopyFormat = copyFormatSelect
+      ? copyFormatSelect.value
+      : "formatted";
+    const selectedIndianNumbering = indianNumberingSelect
+      ? indianNumberingSelect.value === "true"
+      : false;
+    // Only store abbreviations the user has pinned to a zone
+    const selectedAmbiguousTimeZones = {};
+    for (const select of ambiguousZoneSelects) {
+      if (select.value) {
+        selectedAmbiguousTimeZones[select.dataset.abbr] = select.value;
+      }
+    }
+    const selectedWorkingHours = {
+      start: workingHoursInputs.start?.value || "09:00",
+      end: workingHoursInputs.end?.value || "17:00",
+    };
+    // Only store categories with an explicit target
+    const selectedUnitTargets = {};
+    for (const [dimension, select] of Object.entries(unitTargetSelects)) {
+      if (select.value) selectedUnitTargets[dimension] = select.value;
+    }
     chrome.storage.sync.set(
       {
         preferredCurrency: selectedCurrency,
         preferredCryptoCurrency: selectedCryptoCurrency,
         preferredSearchEngine: selectedSearchEngine,
+        extraConversionTargets: selectedExtraTargets,
+        unitSystem: selectedUnitSystem,
+        unitTargets: selectedUnitTargets,
+        numberLocale: selectedNumberLocale,
+        copyFormat: selectedCopyFormat,
+        indianNumbering: selectedIndianNumbering,
+        ambiguousTimeZones: selectedAmbiguousTimeZones,
+        teamTimeZones,
+        workingHours: selectedWorkingHours,
+        customUnits,
       },
       () => {
         saveButton.textContent = "Saved!";
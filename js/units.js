@@ -0,0 +1,1517 @@
+/**
+ * @fileoverview SearchPopup - Unit definitions shared by the content script and the options page
+ * @author Krasen Ivanov
+ *
+ * Loaded before js/content.js (manifest content_scripts) and before
+ * js/settings.js (settings.html), so both read the same unit tables.
+ */
+
+// Copyright 2025-2026 Krasen Ivanov
+
+// --- Unit Definitions ---
+/**
+ * Base unit of each dimension. Any two units of the same dimension convert
+ * through this base unit.
+ * @type {Object<string, string>}
+ */
+const UNIT_DIMENSIONS = {
+  mass: "kg",
+  temperature: "K",
+  volume: "l",
+  speed: "m/s",
+  fuelEconomy: "km/l",
+  length: "m",
+  area: "m²",
+  dataSize: "B",
+  dataRate: "B/s",
+  power: "W",
+  torque: "Nm",
+  pressure: "Pa",
+  energy: "J",
+  angle: "rad",
+  frequency: "Hz",
+};
+
+/**
+ * Units keyed by their display label.
+ * - dimension: key of UNIT_DIMENSIONS
+ * - system: "metric", "us", "imperial" (UK), "customary" (shared by US and UK)
+ *   or "traditional" (East Asian market units, never part of a preferred system)
+ * - factor / offset: base = value * factor + offset (offset defaults to 0)
+ * - toBase / fromBase: used instead of factor for non-linear units
+ * - to: default target when the selection does not name one
+ * - scale / toScale: UNIT_SCALES of the unit itself and of its default target;
+ *   the best fitting unit of each is shown ("1536 MiB" reads as "1.5 GiB")
+ * - squareOf: length unit whose square this area unit is
+ * - aliases: other spellings, matched ignoring case, spaces and dashes
+ * - exactAliases: other spellings matched with their exact case ("MBps")
+ * - caseSensitive: only match the label with its exact case (e.g. "K" but not "k")
+ * - prefixable: also accept the unit with SI_PREFIXES ("µm", "MPa", "GWh")
+ */
+const UNIT_DEFINITIONS = {
+  // Weight
+  kg: {
+    dimension: "mass",
+    system: "metric",
+    factor: 1,
+    to: "lb",
+    scale: "metricMasses",
+    aliases: ["kilogram", "kilograms", "kilo", "kilos"],
+  },
+  g: {
+    dimension: "mass",
+    system: "metric",
+    factor: 0.001,
+    to: "oz",
+    scale: "metricMasses",
+    aliases: ["gram", "grams"],
+    prefixable: true,
+  },
+  lb: {
+    dimension: "mass",
+    system: "customary",
+    factor: 0.45359237,
+    to: "kg",
+    aliases: ["lbs", "pound", "pounds"],
+  },
+  oz: {
+    dimension: "mass",
+    system: "customary",
+    factor: 0.028349523125,
+    to: "g",
+    aliases: ["ounce", "ounces"],
+  },
+  st: {
+    dimension: "mass",
+    system: "imperial",
+    factor: 6.35029318,
+    to: "kg",
+    aliases: ["stone"],
+  },
+  jin: {
+    dimension: "mass",
+    system: "traditional",
+    factor: 0.5,
+    to: "kg",
+    aliases: ["斤", "市斤", "catty"],
+  },
+
+  // Temperature
+  "°F": {
+    dimension: "temperature",
+    system: "us",
+    factor: 5 / 9,
+    offset: 273.15 - (32 * 5) / 9,
+    to: "°C",
+    aliases: ["fahrenheit", "℉", "degrees F", "degrees fahrenheit"],
+  },
+  "°C": {
+    dimension: "temperature",
+    system: "metric",
+    factor: 1,
+    offset: 273.15,
+    to: "°F",
+    aliases: ["celsius", "centigrade", "℃", "degrees C", "degrees celsius"],
+  },
+  K: {
+    dimension: "temperature",
+    system: "metric",
+    factor: 1,
+    to: "°C",
+    aliases: ["kelvin"],
+    caseSensitive: true,
+  },
+
+  // Cooking Measurements
+  cup: {
+    dimension: "volume",
+    system: "us",
+    factor: 0.2365882365,
+    to: "ml",
+    aliases: ["cups", "cupsful"],
+  },
+  tbsp: {
+    dimension: "volume",
+    system: "us",
+    factor: 0.01478676478125,
+    to: "ml",
+    aliases: ["tbsp.", "tbsps", "tablespoon", "tablespoons"],
+  },
+  tsp: {
+    dimension: "volume",
+    system: "us",
+    factor: 0.00492892159375,
+    to: "ml",
+    aliases: ["tsp.", "tsps", "teaspoon", "teaspoons"],
+  },
+  "fl oz": {
+    dimension: "volume",
+    system: "us",
+    factor: 0.0295735295625,
+    to: "ml",
+    aliases: ["fl", "fluid ounce", "fluid ounces"],
+  },
+  pint: {
+    dimension: "volume",
+    system: "us",
+    factor: 0.473176473,
+    to: "ml",
+    aliases: ["pints"],
+  },
+  qt: {
+    dimension: "volume",
+    system: "us",
+    factor: 0.946352946,
+    to: "l",
+    aliases: ["quart", "quarts"],
+  },
+
+  // Volume
+  gal: {
+    dimension: "volume",
+    system: "us",
+    factor: 3.785411784,
+    to: "l",
+    aliases: ["gallon", "gallons"],
+  },
+  l: {
+    dimension: "volume",
+    system: "metric",
+    factor: 1,
+    to: "gal",
+    scale: "metricVolumes",
+    aliases: ["liter", "litre", "liters", "litres"],
+    prefixable: true,
+  },
+  ml: {
+    dimension: "volume",
+    system: "metric",
+    factor: 0.001,
+    to: "fl oz",
+    scale: "metricVolumes",
+    aliases: ["milliliter", "millilitre", "milliliters", "millilitres"],
+  },
+  "imp gal": {
+    dimension: "volume",
+    system: "imperial",
+    factor: 4.54609,
+    to: "l",
+    aliases: ["imperial gallon", "imperial gallons", "uk gallon", "uk gallons"],
+  },
+  "imp pint": {
+    dimension: "volume",
+    system: "imperial",
+    factor: 0.56826125,
+    to: "ml",
+    aliases: ["imperial pint", "imperial pints", "uk pint", "uk pints"],
+  },
+  "imp fl oz": {
+    dimension: "volume",
+    system: "imperial",
+    factor: 0.0284130625,
+    to: "ml",
+    aliases: ["imperial fluid ounce", "imperial fluid ounces", "uk fl oz"],
+  },
+
+  // Speed
+  mph: {
+    dimension: "speed",
+    system: "customary",
+    factor: 0.44704,
+    to: "km/h",
+    aliases: ["milesperhour", "miles per hour"],
+  },
+  "km/h": {
+    dimension: "speed",
+    system: "metric",
+    factor: 1 / 3.6,
+    to: "mph",
+    aliases: ["kph", "kmh", "kilometers per hour", "kilometres per hour"],
+  },
+  "m/s": {
+    dimension: "speed",
+    system: "metric",
+    factor: 1,
+    to: "km/h",
+    aliases: ["meters per second", "metres per second"],
+  },
+  kn: {
+    dimension: "speed",
+    factor: 0.514444444,
+    to: "km/h",
+    aliases: ["knot", "knots"],
+  },
+
+  // Fuel Economy (l/100km is the reciprocal of km/l)
+  mpg: {
+    dimension: "fuelEconomy",
+    system: "us",
+    factor: 0.425143707,
+    to: "l/100km",
+  },
+  "UK mpg": {
+    dimension: "fuelEconomy",
+    system: "imperial",
+    factor: 0.354006189,
+    to: "l/100km",
+    aliases: ["mpg uk", "imperial mpg"],
+  },
+  "l/100km": {
+    dimension: "fuelEconomy",
+    system: "metric",
+    toBase: (val) => 100 / val,
+    fromBase: (val) => 100 / val,
+    to: "mpg",
+  },
+
+  // Distance
+  mi: {
+    dimension: "length",
+    system: "customary",
+    factor: 1609.344,
+    to: "km",
+    aliases: ["mile", "miles"],
+  },
+  km: {
+    dimension: "length",
+    system: "metric",
+    factor: 1000,
+    to: "mi",
+    scale: "metricLengths",
+    aliases: ["kilometer", "kilometre", "kilometers", "kilometres"],
+  },
+  yd: {
+    dimension: "length",
+    system: "customary",
+    factor: 0.9144,
+    to: "m",
+    aliases: ["yard", "yards"],
+  },
+  m: {
+    dimension: "length",
+    system: "metric",
+    factor: 1,
+    to: "yd",
+    scale: "metricLengths",
+    aliases: ["meter", "metre", "meters", "metres"],
+    prefixable: true,
+  },
+  ft: {
+    dimension: "length",
+    system: "customary",
+    factor: 0.3048,
+    to: "m",
+    aliases: ["foot", "feet"],
+  },
+  in: {
+    dimension: "length",
+    system: "customary",
+    factor: 0.0254,
+    to: "cm",
+    aliases: ["inch", "inches"],
+  },
+  cm: {
+    dimension: "length",
+    system: "metric",
+    factor: 0.01,
+    to: "in",
+    scale: "metricLengths",
+    aliases: ["centimeter", "centimetre", "centimeters", "centimetres"],
+  },
+  mm: {
+    dimension: "length",
+    system: "metric",
+    factor: 0.001,
+    to: "in",
+    scale: "metricLengths",
+    aliases: ["millimeter", "millimetre", "millimeters", "millimetres"],
+  },
+
+  // Nautical Distance
+  nmi: {
+    dimension: "length",
+    factor: 1852,
+    to: "km",
+    aliases: ["nautical mile", "nautical miles"],
+  },
+
+  // Area ("square X", "X²" and "sq X" spellings resolve through squareOf)
+  "sq in": {
+    dimension: "area",
+    system: "customary",
+    factor: 0.00064516,
+    to: "cm²",
+    squareOf: "in",
+  },
+  "sq ft": {
+    dimension: "area",
+    system: "customary",
+    factor: 0.09290304,
+    to: "m²",
+    squareOf: "ft",
+  },
+  "sq yd": {
+    dimension: "area",
+    system: "customary",
+    factor: 0.83612736,
+    to: "m²",
+    squareOf: "yd",
+  },
+  acre: {
+    dimension: "area",
+    system: "customary",
+    factor: 4046.8564224,
+    to: "ha",
+    aliases: ["acres", "ac"],
+  },
+  tsubo: {
+    dimension: "area",
+    system: "traditional",
+    factor: 400 / 121,
+    to: "m²",
+    aliases: ["坪", "평", "pyeong"],
+  },
+  "sq mi": {
+    dimension: "area",
+    system: "customary",
+    factor: 2589988.110336,
+    to: "km²",
+    squareOf: "mi",
+  },
+  "cm²": {
+    dimension: "area",
+    system: "metric",
+    factor: 0.0001,
+    to: "sq in",
+    squareOf: "cm",
+  },
+  "m²": {
+    dimension: "area",
+    system: "metric",
+    factor: 1,
+    to: "sq ft",
+    squareOf: "m",
+  },
+  ha: {
+    dimension: "area",
+    system: "metric",
+    factor: 10000,
+    to: "acre",
+    aliases: ["hectare", "hectares"],
+  },
+  "km²": {
+    dimension: "area",
+    system: "metric",
+    factor: 1000000,
+    to: "sq mi",
+    squareOf: "km",
+  },
+
+  // Power
+  kW: {
+    dimension: "power",
+    system: "metric",
+    factor: 1000,
+    to: "hp",
+    scale: "watts",
+    aliases: ["kilowatt", "kilowatts"],
+  },
+  W: {
+    dimension: "power",
+    system: "metric",
+    factor: 1,
+    to: "hp",
+    scale: "watts",
+    aliases: ["watt", "watts"],
+    prefixable: true,
+    caseSensitive: true,
+  },
+  hp: {
+    dimension: "power",
+    system: "customary",
+    factor: 745.699872,
+    to: "kW",
+    aliases: ["horsepower", "horse power"],
+  },
+  PS: {
+    dimension: "power",
+    system: "metric",
+    factor: 735.49875,
+    to: "kW",
+    caseSensitive: true,
+  },
+
+  // Torque
+  "lb ft": {
+    dimension: "torque",
+    system: "customary",
+    factor: 1.35581795,
+    to: "Nm",
+    aliases: ["poundfoot", "pound-foot", "pound feet"],
+  },
+  "lb in": {
+    dimension: "torque",
+    system: "customary",
+    factor: 0.112984829,
+    to: "Nm",
+  },
+  Nm: {
+    dimension: "torque",
+    system: "metric",
+    factor: 1,
+    to: "lb ft",
+    // Case-sensitive so a lowercase "nm" is nanometres
+    caseSensitive: true,
+    exactAliases: ["NM", "N·m", "N⋅m"],
+    aliases: ["newtonmeter", "newton-meter", "newton metres"],
+  },
+  "kgf m": { dimension: "torque", system: "metric", factor: 9.80665, to: "Nm" },
+
+  // Pressure
+  psi: {
+    dimension: "pressure",
+    system: "customary",
+    factor: 6894.757293168,
+    to: "bar",
+    aliases: ["lbf/in²", "pounds per square inch"],
+  },
+  bar: {
+    dimension: "pressure",
+    system: "metric",
+    factor: 1e5,
+    to: "psi",
+    aliases: ["bars"],
+  },
+  kPa: {
+    dimension: "pressure",
+    system: "metric",
+    factor: 1000,
+    to: "psi",
+    scale: "pascals",
+    aliases: ["kilopascal", "kilopascals"],
+  },
+  hPa: {
+    dimension: "pressure",
+    system: "metric",
+    factor: 100,
+    to: "inHg",
+    aliases: ["hectopascal", "hectopascals", "mbar", "millibar", "millibars"],
+  },
+  Pa: {
+    dimension: "pressure",
+    system: "metric",
+    factor: 1,
+    to: "psi",
+    scale: "pascals",
+    aliases: ["pascal", "pascals"],
+    prefixable: true,
+  },
+  atm: {
+    dimension: "pressure",
+    factor: 101325,
+    to: "kPa",
+    aliases: ["atmosphere", "atmospheres"],
+  },
+  mmHg: {
+    dimension: "pressure",
+    factor: 133.322387415,
+    to: "kPa",
+    aliases: [
+      "millimeter of mercury",
+      "millimeters of mercury",
+      "millimetres of mercury",
+      "torr",
+    ],
+  },
+  inHg: {
+    dimension: "pressure",
+    system: "customary",
+    factor: 3386.389,
+    to: "hPa",
+    aliases: ["inch of mercury", "inches of mercury"],
+  },
+
+  // Energy (food "calories" are kilocalories)
+  kcal: {
+    dimension: "energy",
+    factor: 4184,
+    to: "kJ",
+    aliases: [
+      "kcals",
+      "kilocalorie",
+      "kilocalories",
+      "cal",
+      "cals",
+      "calorie",
+      "calories",
+    ],
+  },
+  J: {
+    dimension: "energy",
+    system: "metric",
+    factor: 1,
+    to: "kcal",
+    scale: "joules",
+    caseSensitive: true,
+    aliases: ["joule", "joules"],
+    prefixable: true,
+  },
+  kJ: {
+    dimension: "energy",
+    system: "metric",
+    factor: 1000,
+    to: "kcal",
+    scale: "joules",
+    aliases: ["kilojoule", "kilojoules"],
+  },
+  MJ: {
+    dimension: "energy",
+    system: "metric",
+    factor: 1e6,
+    to: "kWh",
+    scale: "joules",
+    aliases: ["megajoule", "megajoules"],
+  },
+  Wh: {
+    dimension: "energy",
+    factor: 3600,
+    to: "kJ",
+    aliases: ["watt hour", "watt hours", "watt-hour", "watt-hours"],
+    prefixable: true,
+  },
+  kWh: {
+    dimension: "energy",
+    factor: 3.6e6,
+    to: "MJ",
+    aliases: [
+      "kilowatt hour",
+      "kilowatt hours",
+      "kilowatt-hour",
+      "kilowatt-hours",
+    ],
+  },
+  BTU: {
+    dimension: "energy",
+    system: "customary",
+    factor: 1055.05585262,
+    to: "kJ",
+    aliases: ["btus", "British thermal unit", "British thermal units"],
+  },
+
+  // Angle
+  deg: {
+    dimension: "angle",
+    factor: Math.PI / 180,
+    to: "rad",
+    // A bare "68 degrees" is left to the temperature converter
+    aliases: ["degree", "degrees", "degs", "degree angle"],
+  },
+  rad: {
+    dimension: "angle",
+    factor: 1,
+    to: "deg",
+    aliases: ["radian", "radians"],
+  },
+  grad: {
+    dimension: "angle",
+    factor: Math.PI / 200,
+    to: "deg",
+    aliases: ["grads", "gradian", "gradians", "gon", "gons"],
+  },
+
+  // Frequency
+  Hz: {
+    dimension: "frequency",
+    factor: 1,
+    scale: "hertz",
+    to: "rpm",
+    aliases: ["hertz"],
+    prefixable: true,
+  },
+  kHz: {
+    dimension: "frequency",
+    factor: 1e3,
+    scale: "hertz",
+    to: "Hz",
+    aliases: ["kilohertz"],
+  },
+  MHz: {
+    dimension: "frequency",
+    factor: 1e6,
+    scale: "hertz",
+    to: "kHz",
+    aliases: ["megahertz"],
+  },
+  GHz: {
+    dimension: "frequency",
+    factor: 1e9,
+    scale: "hertz",
+    to: "MHz",
+    aliases: ["gigahertz"],
+  },
+  rpm: {
+    dimension: "frequency",
+    factor: 1 / 60,
+    to: "Hz",
+    aliases: ["r/min", "rev/min", "revolutions per minute"],
+  },
+
+  // Data Size (SI prefixes are powers of 1000, IEC prefixes powers of 1024)
+  B: {
+    dimension: "dataSize",
+    factor: 1,
+    scale: "decimalBytes",
+    toScale: "binaryBytes",
+    caseSensitive: true,
+    aliases: ["byte", "bytes"],
+  },
+  KB: {
+    dimension: "dataSize",
+    factor: 1e3,
+    scale: "decimalBytes",
+    toScale: "binaryBytes",
+    aliases: ["kilobyte", "kilobytes"],
+  },
+  MB: {
+    dimension: "dataSize",
+    factor: 1e6,
+    scale: "decimalBytes",
+    toScale: "binaryBytes",
+    aliases: ["megabyte", "megabytes"],
+  },
+  GB: {
+    dimension: "dataSize",
+    factor: 1e9,
+    scale: "decimalBytes",
+    toScale: "binaryBytes",
+    aliases: ["gigabyte", "gigabytes"],
+  },
+  TB: {
+    dimension: "dataSize",
+    factor: 1e12,
+    scale: "decimalBytes",
+    toScale: "binaryBytes",
+    aliases: ["terabyte", "terabytes"],
+  },
+  PB: {
+    dimension: "dataSize",
+    factor: 1e15,
+    scale: "decimalBytes",
+    toScale: "binaryBytes",
+    aliases: ["petabyte", "petabytes"],
+  },
+  KiB: {
+    dimension: "dataSize",
+    factor: 1024,
+    scale: "binaryBytes",
+    toScale: "decimalBytes",
+    aliases: ["kibibyte", "kibibytes"],
+  },
+  MiB: {
+    dimension: "dataSize",
+    factor: 1024 ** 2,
+    scale: "binaryBytes",
+    toScale: "decimalBytes",
+    aliases: ["mebibyte", "mebibytes"],
+  },
+  GiB: {
+    dimension: "dataSize",
+    factor: 1024 ** 3,
+    scale: "binaryBytes",
+    toScale: "decimalBytes",
+    aliases: ["gibibyte", "gibibytes"],
+  },
+  TiB: {
+    dimension: "dataSize",
+    factor: 1024 ** 4,
+    scale: "binaryBytes",
+    toScale: "decimalBytes",
+    aliases: ["tebibyte", "tebibytes"],
+  },
+  PiB: {
+    dimension: "dataSize",
+    factor: 1024 ** 5,
+    scale: "binaryBytes",
+    toScale: "decimalBytes",
+    aliases: ["pebibyte", "pebibytes"],
+  },
+  bit: {
+    dimension: "dataSize",
+    factor: 1 / 8,
+    scale: "bits",
+    toScale: "decimalBytes",
+    aliases: ["bits"],
+  },
+  Kb: {
+    dimension: "dataSize",
+    factor: 1e3 / 8,
+    scale: "bits",
+    toScale: "decimalBytes",
+    caseSensitive: true,
+    aliases: ["Kbit", "kilobit", "kilobits"],
+  },
+  Mb: {
+    dimension: "dataSize",
+    factor: 1e6 / 8,
+    scale: "bits",
+    toScale: "decimalBytes",
+    caseSensitive: true,
+    aliases: ["Mbit", "megabit", "megabits"],
+  },
+  Gb: {
+    dimension: "dataSize",
+    factor: 1e9 / 8,
+    scale: "bits",
+    toScale: "decimalBytes",
+    caseSensitive: true,
+    aliases: ["Gbit", "gigabit", "gigabits"],
+  },
+  Tb: {
+    dimension: "dataSize",
+    factor: 1e12 / 8,
+    scale: "bits",
+    toScale: "decimalBytes",
+    caseSensitive: true,
+    aliases: ["Tbit", "terabit", "terabits"],
+  },
+
+  // Data Rate ("MBps" is bytes, "Mbps" and "Mb/s" are bits)
+  bps: {
+    dimension: "dataRate",
+    factor: 1 / 8,
+    scale: "bitRates",
+    toScale: "byteRates",
+    aliases: ["bit/s", "bits per second"],
+  },
+  Kbps: {
+    dimension: "dataRate",
+    factor: 1e3 / 8,
+    scale: "bitRates",
+    toScale: "byteRates",
+    exactAliases: ["Kb/s"],
+    aliases: ["Kbit/s", "kilobits per second"],
+  },
+  Mbps: {
+    dimension: "dataRate",
+    factor: 1e6 / 8,
+    scale: "bitRates",
+    toScale: "byteRates",
+    exactAliases: ["Mb/s"],
+    aliases: ["Mbit/s", "megabits per second"],
+  },
+  Gbps: {
+    dimension: "dataRate",
+    factor: 1e9 / 8,
+    scale: "bitRates",
+    toScale: "byteRates",
+    exactAliases: ["Gb/s"],
+    aliases: ["Gbit/s", "gigabits per second"],
+  },
+  Tbps: {
+    dimension: "dataRate",
+    factor: 1e12 / 8,
+    scale: "bitRates",
+    toScale: "byteRates",
+    exactAliases: ["Tb/s"],
+    aliases: ["Tbit/s", "terabits per second"],
+  },
+  "B/s": {
+    dimension: "dataRate",
+    factor: 1,
+    scale: "byteRates",
+    toScale: "bitRates",
+    caseSensitive: true,
+    exactAliases: ["Bps"],
+    aliases: ["bytes per second"],
+  },
+  "KB/s": {
+    dimension: "dataRate",
+    factor: 1e3,
+    scale: "byteRates",
+    toScale: "bitRates",
+    exactAliases: ["KBps"],
+    aliases: ["kilobytes per second"],
+  },
+  "MB/s": {
+    dimension: "dataRate",
+    factor: 1e6,
+    scale: "byteRates",
+    toScale: "bitRates",
+    exactAliases: ["MBps"],
+    aliases: ["megabytes per second"],
+  },
+  "GB/s": {
+    dimension: "dataRate",
+    factor: 1e9,
+    scale: "byteRates",
+    toScale: "bitRates",
+    exactAliases: ["GBps"],
+    aliases: ["gigabytes per second"],
+  },
+  "TB/s": {
+    dimension: "dataRate",
+    factor: 1e12,
+    scale: "byteRates",
+    toScale: "bitRates",
+    exactAliases: ["TBps"],
+    aliases: ["terabytes per second"],
+  },
+  "KiB/s": {
+    dimension: "dataRate",
+    factor: 1024,
+    scale: "binaryByteRates",
+    toScale: "bitRates",
+    aliases: ["KiBps", "kibibytes per second"],
+  },
+  "MiB/s": {
+    dimension: "dataRate",
+    factor: 1024 ** 2,
+    scale: "binaryByteRates",
+    toScale: "bitRates",
+    aliases: ["MiBps", "mebibytes per second"],
+  },
+  "GiB/s": {
+    dimension: "dataRate",
+    factor: 1024 ** 3,
+    scale: "binaryByteRates",
+    toScale: "bitRates",
+    aliases: ["GiBps", "gibibytes per second"],
+  },
+};
+
+// --- Unit Scales ---
+// Units of one family, smallest first, used to pick a readable magnitude
+const UNIT_SCALES = {
+  decimalBytes: ["B", "KB", "MB", "GB", "TB", "PB"],
+  binaryBytes: ["B", "KiB", "MiB", "GiB", "TiB", "PiB"],
+  bits: ["bit", "Kb", "Mb", "Gb", "Tb"],
+  bitRates: ["bps", "Kbps", "Mbps", "Gbps", "Tbps"],
+  byteRates: ["B/s", "KB/s", "MB/s", "GB/s", "TB/s"],
+  binaryByteRates: ["B/s", "KiB/s", "MiB/s", "GiB/s"],
+  hertz: ["Hz", "kHz", "MHz", "GHz"],
+  // Metric units, including some only added by addPrefixedUnits
+  metricLengths: ["nm", "µm", "mm", "cm", "m", "km"],
+  metricMasses: ["mg", "g", "kg"],
+  metricVolumes: ["ml", "l"],
+  watts: ["mW", "W", "kW", "MW", "GW"],
+  joules: ["J", "kJ", "MJ", "GJ"],
+  pascals: ["Pa", "kPa", "MPa", "GPa"],
+};
+
+// --- Ingredient Densities ---
+// Grams per US cup of common baking ingredients, keyed by name. Lets
+// "2 cups flour" show grams and "200 g sugar" show cups.
+const INGREDIENT_DENSITIES = {
+  flour: {
+    gramsPerCup: 125,
+    aliases: ["all-purpose flour", "all purpose flour", "plain flour"],
+  },
+  "bread flour": { gramsPerCup: 127 },
+  "whole wheat flour": { gramsPerCup: 120, aliases: ["wholemeal flour"] },
+  sugar: { gramsPerCup: 200, aliases: ["granulated sugar", "white sugar"] },
+  "brown sugar": { gramsPerCup: 220, aliases: ["packed brown sugar"] },
+  "powdered sugar": {
+    gramsPerCup: 120,
+    aliases: ["icing sugar", "confectioners sugar", "confectioners' sugar"],
+  },
+  butter: { gramsPerCup: 227 },
+  rice: { gramsPerCup: 185, aliases: ["white rice", "uncooked rice"] },
+  oats: { gramsPerCup: 90, aliases: ["rolled oats", "oatmeal"] },
+  honey: { gramsPerCup: 340 },
+  "maple syrup": { gramsPerCup: 315 },
+  milk: { gramsPerCup: 245 },
+  water: { gramsPerCup: 237 },
+  cream: { gramsPerCup: 238, aliases: ["heavy cream", "whipping cream"] },
+  yogurt: { gramsPerCup: 245, aliases: ["yoghurt"] },
+  oil: { gramsPerCup: 218, aliases: ["vegetable oil", "olive oil"] },
+  salt: { gramsPerCup: 288, aliases: ["table salt"] },
+  "cocoa powder": { gramsPerCup: 85, aliases: ["cocoa"] },
+  cornstarch: { gramsPerCup: 120, aliases: ["corn starch", "cornflour"] },
+  "baking powder": { gramsPerCup: 192 },
+  "baking soda": { gramsPerCup: 230, aliases: ["bicarbonate of soda"] },
+  "chocolate chips": { gramsPerCup: 170 },
+  "peanut butter": { gramsPerCup: 258 },
+};
+
+// --- Compound Units ---
+// Multi-part quantities ("5 ft 11 in", "11 st 6 lb"), largest unit first.
+// Metric lengths and weights also show the first matching compound form;
+// systems limits a form to those preferred unit systems; format gets both
+// parts already formatted for the result locale.
+const COMPOUND_UNITS = [
+  {
+    major: "ft",
+    minor: "in",
+    max: 100,
+    format: (major, minor) => `${major}'${minor}"`,
+  },
+  {
+    major: "st",
+    minor: "lb",
+    max: 100,
+    systems: ["uk"],
+    format: (major, minor) => `${major} st ${minor} lb`,
+  },
+  {
+    major: "lb",
+    minor: "oz",
+    max: 1000,
+    format: (major, minor) => `${major} lb ${minor} oz`,
+  },
+];
+
+// Foot and inch marks, including typographic primes and quotes
+const COMPOUND_UNIT_MARKS = {
+  "'": "ft",
+  "′": "ft",
+  "’": "ft",
+  '"': "in",
+  "″": "in",
+  "”": "in",
+  "''": "in",
+};
+
+// --- Unit Systems ---
+// Which unit systems count as "already in" each preferred system
+const UNIT_SYSTEMS = {
+  metric: ["metric"],
+  us: ["us", "customary"],
+  uk: ["imperial", "customary"],
+};
+
+// Targets per preferred system, smallest first. Used when a unit's default
+// target is outside the preferred system; the largest unit that keeps the
+// value at or above 1 is chosen.
+const SYSTEM_TARGET_LADDERS = {
+  metric: {
+    mass: ["g", "kg"],
+    temperature: ["°C"],
+    volume: ["ml", "l"],
+    speed: ["km/h"],
+    fuelEconomy: ["l/100km"],
+    length: ["mm", "cm", "m", "km"],
+    area: ["cm²", "m²", "ha", "km²"],
+    power: ["W", "kW"],
+    torque: ["Nm"],
+    pressure: ["kPa"],
+    energy: ["J", "kJ", "MJ"],
+  },
+  us: {
+    mass: ["oz", "lb"],
+    temperature: ["°F"],
+    volume: ["fl oz", "cup", "gal"],
+    speed: ["mph"],
+    fuelEconomy: ["mpg"],
+    length: ["in", "ft", "mi"],
+    area: ["sq in", "sq ft", "acre", "sq mi"],
+    power: ["hp"],
+    torque: ["lb ft"],
+    pressure: ["psi"],
+  },
+  uk: {
+    mass: ["oz", "lb", "st"],
+    temperature: ["°C"],
+    volume: ["imp fl oz", "imp pint", "imp gal"],
+    speed: ["mph"],
+    fuelEconomy: ["UK mpg"],
+    length: ["in", "ft", "mi"],
+    area: ["sq in", "sq ft", "acre", "sq mi"],
+    power: ["hp"],
+    torque: ["lb ft"],
+    pressure: ["psi"],
+  },
+};
+
+// --- Extra Conversion Targets ---
+// Keyed by the primary target unit; each extra is another unit of the same dimension.
+// "5 kg" converts to lb first, then oz and st (limited by extraConversionTargets).
+const UNIT_EXTRA_TARGETS = {
+  // Weight
+  lb: ["oz", "st"],
+  kg: ["g"],
+  oz: ["lb"],
+  g: ["kg"],
+
+  // Temperature
+  "°C": ["K"],
+  "°F": ["K"],
+
+  // Cooking and Volume
+  ml: ["l", "tbsp"],
+  l: ["ml"],
+  gal: ["qt", "pint"],
+  "imp gal": ["imp pint"],
+  "fl oz": ["cup", "tbsp"],
+
+  // Speed
+  "km/h": ["m/s"],
+  mph: ["kn"],
+
+  // Distance
+  km: ["m"],
+  mi: ["yd", "ft"],
+  m: ["cm"],
+  yd: ["ft", "in"],
+  cm: ["mm"],
+  in: ["ft"],
+
+  // Area
+  "m²": ["sq yd"],
+  "sq ft": ["sq yd"],
+  ha: ["m²"],
+  acre: ["sq ft"],
+  "km²": ["ha"],
+  "sq mi": ["acre"],
+
+  // Data Rate
+  "KB/s": ["KiB/s"],
+  "MB/s": ["MiB/s"],
+  "GB/s": ["GiB/s"],
+
+  // Power
+  kW: ["W"],
+  hp: ["PS"],
+
+  // Torque
+  Nm: ["kgf m"],
+  "lb ft": ["lb in"],
+
+  // Pressure
+  bar: ["kPa"],
+  psi: ["kPa"],
+  kPa: ["bar"],
+
+  // Energy
+  MJ: ["BTU"],
+  kJ: ["kWh"],
+};
+
+// --- Localized Unit Aliases ---
+// Unit spellings of other languages, keyed by language and then by unit label.
+// They are matched like aliases: ignoring case, spaces, dots and accents.
+const LOCALIZED_UNIT_ALIASES = {
+  bg: {
+    kg: ["кг", "килограм", "килограма", "килограми"],
+    g: ["г", "гр", "грам", "грама", "грамове"],
+    mg: ["мг", "милиграм", "милиграма"],
+    l: ["л", "литър", "литра", "литри"],
+    ml: ["мл", "милилитър", "милилитра", "милилитри"],
+    km: ["км", "километър", "километра", "километри"],
+    m: ["м", "метър", "метра", "метри"],
+    cm: ["см", "сантиметър", "сантиметра", "сантиметри"],
+    mm: ["мм", "милиметър", "милиметра", "милиметри"],
+    "km/h": ["км/ч"],
+    "m²": ["кв м", "квадратни метра"],
+    ha: ["ха", "хектар", "хектара"],
+    mi: ["миля", "мили"],
+    in: ["инч", "инча", "инчове"],
+    ft: ["фут", "фута"],
+    lb: ["паунд", "паунда"],
+    oz: ["унция", "унции"],
+    kW: ["квт"],
+    kWh: ["квтч"],
+    kcal: ["ккал", "калории"],
+  },
+  ru: {
+    kg: ["кг", "килограмм", "килограмма", "килограммов"],
+    g: ["г", "гр", "грамм", "грамма", "граммов"],
+    mg: ["мг", "миллиграмм", "миллиграмма", "миллиграммов"],
+    l: ["л", "литр", "литра", "литров"],
+    ml: ["мл", "миллилитр", "миллилитра", "миллилитров"],
+    km: ["км", "километр", "километра", "километров"],
+    m: ["м", "метр", "метра", "метров"],
+    cm: ["см", "сантиметр", "сантиметра", "сантиметров"],
+    mm: ["мм", "миллиметр", "миллиметра", "миллиметров"],
+    "km/h": ["км/ч"],
+    "m²": ["кв м", "квадратных метров"],
+    ha: ["га", "гектар", "гектара", "гектаров"],
+    mi: ["миля", "мили", "миль"],
+    in: ["дюйм", "дюйма", "дюймов"],
+    ft: ["фут", "фута", "футов"],
+    lb: ["фунт", "фунта", "фунтов"],
+    oz: ["унция", "унции", "унций"],
+    hp: ["лс", "лошадиных сил"],
+    kW: ["квт"],
+    kWh: ["квтч"],
+    kcal: ["ккал"],
+  },
+  de: {
+    kg: ["Kilogramm"],
+    g: ["Gramm"],
+    mg: ["Milligramm"],
+    ml: ["Milliliter"],
+    km: ["Kilometer"],
+    cm: ["Zentimeter"],
+    mm: ["Millimeter"],
+    "km/h": ["Stundenkilometer", "Kilometer pro Stunde"],
+    mph: ["Meilen pro Stunde"],
+    "m²": ["Quadratmeter", "qm"],
+    ha: ["Hektar"],
+    mi: ["Meile", "Meilen"],
+    yd: ["Yard"],
+    in: ["Zoll"],
+    ft: ["Fuß", "Fuss"],
+    lb: ["Pfund"],
+    oz: ["Unze", "Unzen"],
+    gal: ["Gallone", "Gallonen"],
+    cup: ["Tasse", "Tassen"],
+    tbsp: ["Esslöffel"],
+    tsp: ["Teelöffel"],
+    kcal: ["Kilokalorien", "Kalorien"],
+  },
+  es: {
+    kg: ["kilogramo", "kilogramos"],
+    g: ["gramo", "gramos"],
+    mg: ["miligramo", "miligramos"],
+    l: ["litro", "litros"],
+    ml: ["mililitro", "mililitros"],
+    km: ["kilómetro", "kilómetros"],
+    m: ["metro", "metros"],
+    cm: ["centímetro", "centímetros"],
+    mm: ["milímetro", "milímetros"],
+    "km/h": ["kilómetros por hora"],
+    mph: ["millas por hora"],
+    "m²": ["metros cuadrados"],
+    ha: ["hectárea", "hectáreas"],
+    mi: ["milla", "millas"],
+    yd: ["yarda", "yardas"],
+    in: ["pulgada", "pulgadas"],
+    ft: ["pie", "pies"],
+    lb: ["libra", "libras"],
+    oz: ["onza", "onzas"],
+    gal: ["galón", "galones"],
+    cup: ["taza", "tazas"],
+    tbsp: ["cucharada", "cucharadas"],
+    tsp: ["cucharadita", "cucharaditas"],
+    hp: ["caballos de fuerza"],
+    kcal: ["kilocaloría", "kilocalorías", "caloría", "calorías"],
+  },
+  // Prefix characters such as 千 in 千克 are read as multipliers first
+  // ("5千克" is 5000 克), so only the shorter spelling is needed
+  zh: {
+    kg: ["公斤"],
+    g: ["克", "公克"],
+    mg: ["毫克"],
+    l: ["升", "公升"],
+    ml: ["毫升"],
+    km: ["公里"],
+    m: ["米", "公尺"],
+    cm: ["厘米", "公分"],
+    mm: ["毫米"],
+    "m²": ["平方米", "平米"],
+    ha: ["公顷", "公頃"],
+    "km/h": ["公里/小时", "公里/小時"],
+    mi: ["英里"],
+    in: ["英寸", "吋"],
+    ft: ["英尺", "呎"],
+    lb: ["磅"],
+    oz: ["盎司"],
+    "°C": ["摄氏度", "攝氏度"],
+    "°F": ["华氏度", "華氏度"],
+  },
+  ja: {
+    kg: ["キロ", "キログラム"],
+    g: ["グラム"],
+    l: ["リットル"],
+    ml: ["ミリリットル"],
+    km: ["キロメートル"],
+    m: ["メートル"],
+    cm: ["センチ", "センチメートル"],
+    mm: ["ミリ", "ミリメートル"],
+    "m²": ["平方メートル", "平米"],
+    mi: ["マイル"],
+    in: ["インチ"],
+    ft: ["フィート"],
+    lb: ["ポンド"],
+    oz: ["オンス"],
+    cup: ["カップ"],
+    tbsp: ["大さじ"],
+    tsp: ["小さじ"],
+  },
+  ko: {
+    kg: ["킬로그램", "킬로"],
+    g: ["그램"],
+    l: ["리터"],
+    ml: ["밀리리터"],
+    km: ["킬로미터"],
+    m: ["미터"],
+    cm: ["센티미터", "센티"],
+    mm: ["밀리미터"],
+    "m²": ["제곱미터"],
+    mi: ["마일"],
+    in: ["인치"],
+    ft: ["피트"],
+    lb: ["파운드"],
+    oz: ["온스"],
+  },
+};
+
+// --- SI Prefixes ---
+// Multipliers of the prefixes applied to prefixable units
+const SI_PREFIXES = {
+  T: 1e12,
+  G: 1e9,
+  M: 1e6,
+  k: 1e3,
+  d: 1e-1,
+  c: 1e-2,
+  m: 1e-3,
+  µ: 1e-6,
+  n: 1e-9,
+};
+
+/**
+ * Add the SI-prefixed forms of prefixable units to UNIT_DEFINITIONS
+ * Hand-written units such as "km" or "kWh" are kept as they are. Prefixed
+ * units are case-sensitive so "mW" and "MW" stay apart.
+ */
+function addPrefixedUnits() {
+  // Spellings already taken: "Ml" stays millilitres, while the case-sensitive
+  // "Nm" only takes that exact spelling and leaves "nm" to nanometres
+  const taken = new Set();
+  for (const [label, definition] of Object.entries(UNIT_DEFINITIONS)) {
+    taken.add(definition.caseSensitive ? label : label.toLowerCase());
+    for (const alias of definition.aliases || [])
+      taken.add(alias.toLowerCase());
+    for (const alias of definition.exactAliases || []) taken.add(alias);
+  }
+  for (const [label, definition] of Object.entries(UNIT_DEFINITIONS)) {
+    if (!definition.prefixable) continue;
+    for (const [prefix, multiplier] of Object.entries(SI_PREFIXES)) {
+      const prefixed = `${prefix}${label}`;
+      if (taken.has(prefixed) || taken.has(prefixed.toLowerCase())) continue;
+      // Greek mu and a plain "u" are common stand-ins for the micro sign
+      const exactAliases = prefix === "µ" ? [`μ${label}`, `u${label}`] : [];
+      if (label === "l") exactAliases.push(`${prefix}L`);
+      // Borrow the target of the "m" or "k" sibling: "µm" converts to inches like "mm"
+      const sibling = UNIT_DEFINITIONS[`${multiplier < 1 ? "m" : "k"}${label}`];
+      UNIT_DEFINITIONS[prefixed] = {
+        dimension: definition.dimension,
+        system: definition.system,
+        factor: definition.factor * multiplier,
+        to: sibling?.to || definition.to,
+        scale: definition.scale,
+        caseSensitive: true,
+        exactAliases,
+      };
+    }
+  }
+}
+
+addPrefixedUnits();
+
+/**
+ * Lookup from written unit spellings to UNIT_DEFINITIONS labels
+ * Spaces, dots and dashes are ignored ("32-oz", "lb-ft", "fl. oz"); case and
+ * accents are ignored unless the unit is marked caseSensitive. Area units also
+ * accept any spelling of their length unit squared ("square feet", "m2",
+ * "sq. meters"), and LOCALIZED_UNIT_ALIASES add other languages ("кг", "Zoll").
+ * @namespace UnitIndex
+ */
+const UnitIndex = {
+  /** @type {Map<string, string>} Exact-case spellings */
+  exact: new Map(),
+
+  /** @type {Map<string, string>} Lowercased spellings */
+  folded: new Map(),
+
+  /** @type {Map<string, string>} Length label to its area label ("ft" -> "sq ft") */
+  squares: new Map(),
+
+  /**
+   * Strip whitespace, dots and dashes from a unit spelling
+   */
+  normalize(unit) {
+    return (unit || "").trim().replace(/[\s.-]+/g, "");
+  },
+
+  /**
+   * Normalize a spelling and also drop case and accents ("Kilómetros" -> "kilometros")
+   */
+  fold(unit) {
+    return this.normalize(unit)
+      .normalize("NFD")
+      .replace(/\p{M}/gu, "")
+      .toLowerCase();
+  },
+
+  /**
+   * (Re)build the index from UNIT_DEFINITIONS
+   */
+  build() {
+    this.exact.clear();
+    this.folded.clear();
+    this.squares.clear();
+    for (const [label, definition] of Object.entries(UNIT_DEFINITIONS)) {
+      if (definition.squareOf) this.squares.set(definition.squareOf, label);
+      const key = this.normalize(label);
+      this.exact.set(key, label);
+      if (!definition.caseSensitive) this.folded.set(this.fold(key), label);
+      for (const alias of definition.exactAliases || []) {
+        this.exact.set(this.normalize(alias), label);
+      }
+      for (const alias of definition.aliases || []) {
+        const aliasKey = this.normalize(alias);
+        // Custom units are indexed last, so their spellings win over built-ins
+        if (definition.custom) this.exact.set(aliasKey, label);
+        this.folded.set(this.fold(aliasKey), label);
+      }
+    }
+    // Other languages never take a spelling from an English unit
+    for (const aliases of Object.values(LOCALIZED_UNIT_ALIASES)) {
+      for (const [label, spellings] of Object.entries(aliases)) {
+        for (const spelling of spellings) {
+          const key = this.fold(spelling);
+          if (!this.folded.has(key)) this.folded.set(key, label);
+        }
+      }
+    }
+  },
+
+  /**
+   * Resolve a unit as written to its UNIT_DEFINITIONS label
+   * @param {string} unit - Unit text, e.g. "Kilograms", "32-oz"
+   * @returns {string|null} Unit label, or null if unknown
+   */
+  resolve(unit) {
+    const key = this.normalize(unit);
+    if (!key) return null;
+    return (
+      this.exact.get(key) ||
+      this.folded.get(this.fold(key)) ||
+      this.resolveSquare(unit)
+    );
+  },
+
+  /**
+   * Resolve "square X", "sq X", "X²", "X2" or "X squared" to an area label
+   * @param {string} unit - Unit text
+   * @returns {string|null} Area label, or null if X is not a length unit
+   */
+  resolveSquare(unit) {
+    const match = unit
+      .trim()
+      .match(/^(?:square|sq\.?)\s*(.+)$|^(.+?)\s*(?:²|\^2|2|squared)$/i);
+    if (!match) return null;
+    const length = this.resolve(match[1] || match[2]);
+    return (length && this.squares.get(length)) || null;
+  },
+};
+
+UnitIndex.build();
+
+// --- Custom Units ---
+// Letters (any script) with optional spaces, dots, dashes, slashes and degree signs
+const CUSTOM_UNIT_SPELLING = /^\p{L}[\p{L}\s./°-]*$/u;
+
+/**
+ * Validate a custom unit rule from the options page or chrome.storage.sync
+ * A rule reads "1 name = factor × value + offset target", e.g.
+ * { name: "sheets", aliases: ["sheet"], to: "reams", factor: 0.002 }.
+ * Must run while UnitIndex only holds the built-in units.
+ * @param {Object} rule - { name, aliases, to, factor, offset }
+ * @param {Object[]} otherRules - Rules already accepted, checked for reused spellings
+ * @returns {{errors: string[], warnings: string[]}} Errors reject the rule; warnings do not
+ */
+function validateCustomUnit(rule, otherRules = []) {
+  const errors = [];
+  const warnings = [];
+  if (!rule || typeof rule !== "object") {
+    return { errors: ["Rule is not an object"], warnings };
+  }
+
+  const name = typeof rule.name === "string" ? rule.name.trim() : "";
+  const to = typeof rule.to === "string" ? rule.to.trim() : "";
+  const aliases = Array.isArray(rule.aliases) ? rule.aliases : [];
+  if (!name) errors.push("Unit name is required");
+  if (!to) errors.push("Target label is required");
+  if (!Number.isFinite(rule.factor) || rule.factor === 0) {
+    errors.push("Factor must be a non-zero number");
+  }
+  if (rule.offset !== undefined && !Number.isFinite(rule.offset)) {
+    errors.push("Offset must be a number");
+  }
+  if (name && to && UnitIndex.normalize(name) === UnitIndex.normalize(to)) {
+    errors.push("Target label must differ from the unit name");
+  }
+  // The name becomes a UNIT_DEFINITIONS key and would replace the built-in unit
+  const builtInDefinition = UNIT_DEFINITIONS[name];
+  if (builtInDefinition && !builtInDefinition.custom) {
+    errors.push(`"${name}" is a built-in unit; choose another name`);
+  }
+
+  if (UNIT_DEFINITIONS[UnitIndex.resolve(to)]?.toBase) {
+    errors.push(`"${to}" cannot be used as a target; pick a linear unit`);
+  }
+
+  const usedSpellings = new Map();
+  for (const other of otherRules) {
+    for (const spelling of [other.name, ...(other.aliases || [])]) {
+      usedSpellings.set(UnitIndex.fold(spelling), other.name);
+    }
+  }
+  for (const spelling of [name, ...aliases]) {
+    if (typeof spelling !== "string" || !CUSTOM_UNIT_SPELLING.test(spelling)) {
+      errors.push(
+        `"${spelling}" may only contain letters, spaces, dots, dashes and slashes`,
+      );
+      continue;
+    }
+    const owner = usedSpellings.get(UnitIndex.fold(spelling));
+    if (owner) {
+      errors.push(`"${spelling}" is already used by custom unit "${owner}"`);
+      continue;
+    }
+    const builtIn = UnitIndex.resolve(spelling);
+    if (builtIn && builtIn !== name) {
+      warnings.push(
+        `"${spelling}" already means ${builtIn}; your rule will take precedence`,
+      );
+    }
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Build the UNIT_DEFINITIONS entries for a validated custom unit rule
+ * A target that is already a linear unit (built-in or custom) is joined, so a
+ * rule targeting "g" also converts to kg or oz; any other target label gets a
+ * dimension of its own.
+ * @param {Object} rule - Validated rule
+ * @returns {Object<string, Object>} Definitions keyed by label
+ */
+function createCustomUnitDefinitions(rule) {
+  const name = rule.name.trim();
+  const offset = rule.offset || 0;
+  const aliases = (rule.aliases || []).map((alias) => alias.trim());
+  // "grams" joins the g unit; unknown labels are kept as written
+  const to = UnitIndex.resolve(rule.to) || rule.to.trim();
+  const target = UNIT_DEFINITIONS[to];
+
+  if (target) {
+    return {
+      [name]: {
+        dimension: target.dimension,
+        factor: rule.factor * target.factor,
+        offset: offset * target.factor + (target.offset || 0),
+        to,
+        aliases,
+        custom: true,
+      },
+    };
+  }
+
+  const dimension = `custom:${to}`;
+  return {
+    [name]: {
+      dimension,
+      factor: rule.factor,
+      offset,
+      to,
+      aliases,
+      custom: true,
+    },
+    // Target only: "10 reams in sheets" works, a bare "10 reams" is not converted
+    [to]: { dimension, factor: 1, custom: true },
+  };
+}